@@ -0,0 +1,68 @@
+'use strict'
+
+const { appendEvent, readEvents } = require('./storage')
+
+const CSV_COLUMNS = ['at', 'type', 'user_id', 'track_id', 'artist', 'title', 'url', 'details']
+// Data fields that get their own CSV column; everything else lands in details.
+const CSV_DATA_FIELDS = { track_id: 'trackId', artist: 'artist', title: 'title', url: 'url' }
+
+// Writes are chained so events land in the order they happened.
+let pendingWrite = Promise.resolve()
+
+/**
+ * Append an event to the audit log. `userId` is the user the event is about
+ * (the admin behind an admin action goes in `data.by`). Never throws; a
+ * failed write is logged.
+ */
+function logEvent(type, userId, data = {}) {
+  const event = { at: Date.now(), type, userId: userId ?? null, data }
+  pendingWrite = pendingWrite
+    .then(() => appendEvent(event))
+    .catch(error => console.error(`Failed to write audit event ${type}:`, error))
+}
+
+/**
+ * Events matching `filter` (see storage.readEvents), including the ones
+ * still being written.
+ */
+async function queryEvents(filter) {
+  await pendingWrite
+  return readEvents(filter)
+}
+
+async function flushAuditLog() {
+  await pendingWrite
+}
+
+function formatEventsCsv(events) {
+  const rows = events.map(event => {
+    const data = { ...event.data }
+    const row = {
+      at: new Date(event.at).toISOString(),
+      type: event.type,
+      user_id: event.userId ?? ''
+    }
+    Object.entries(CSV_DATA_FIELDS).forEach(([column, field]) => {
+      row[column] = data[field] ?? ''
+      delete data[field]
+    })
+    row.details = Object.keys(data).length ? JSON.stringify(data) : ''
+    return CSV_COLUMNS.map(column => csvCell(row[column])).join(',')
+  })
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n'
+}
+
+function csvCell(value) {
+  let text = String(value)
+  // Titles and artists come from uploaders; keep spreadsheets from running
+  // them as formulas.
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+module.exports = {
+  flushAuditLog,
+  formatEventsCsv,
+  logEvent,
+  queryEvents
+}
@@ -1,42 +1,75 @@
 'use strict'
 
-const fsp = require('node:fs/promises')
 const {
-  AUTH_STORE_PATH,
-  DATA_DIR,
-  DOWNLOAD_COUNT_PATH
+  QUOTA_BURST,
+  QUOTA_BURST_WINDOW_MS,
+  QUOTA_DAILY,
+  QUOTA_HOURLY
 } = require('./config')
+const { loadDocument, saveDocument } = require('./storage')
 
-const authorizedUsers = new Set()
+const HOUR_MS = 60 * 60 * 1000
+const DAY_MS = 24 * HOUR_MS
+const LIMIT_KEYS = ['daily', 'hourly', 'burst']
+
+// userId -> { id, username, firstName, status, joinedAt, lastSeenAt, downloads,
+// invitedBy, inviteCode, passwordUnlockedAt, expiresAt, expiryReminderSentAt,
+// bannedAt, banReason }; status is 'authorized', 'expired', 'revoked' or
+// 'banned'. passwordUnlockedAt is set the first time the user unlocks with a
+// password and never cleared.
+const userRecords = new Map()
+// userId -> download timestamps (ms) from the last 24 hours
+const downloadHistory = new Map()
+// userId -> { daily?, hourly?, burst?, exempt? } set by admins
+const userLimits = new Map()
 let downloadCount = 0
 let authorizedUsersDirty = false
 let downloadCountDirty = false
+let quotasDirty = false
 let persistAuthorizedUsersTimer
 let persistDownloadCountTimer
+let persistQuotasTimer
 
+/**
+ * Load user records. Files written before records existed hold a bare array
+ * of ids; those are migrated to records (with unknown join dates) and saved
+ * back in the new format.
+ */
 async function loadAuthorizedUsersFromDisk() {
   try {
-    const raw = await fsp.readFile(AUTH_STORE_PATH, 'utf8')
-    const parsed = JSON.parse(raw)
+    const parsed = await loadDocument('authorized-users')
     if (Array.isArray(parsed)) {
       parsed.forEach(value => {
         const id = Number(value)
         if (Number.isFinite(id)) {
-          authorizedUsers.add(id)
+          userRecords.set(id, createUserRecord(id, { joinedAt: null, passwordUnlockedAt: 0 }))
+        }
+      })
+      if (userRecords.size) {
+        console.log(`Migrating ${userRecords.size} authorized users to user records.`)
+        scheduleAuthorizedPersist()
+      }
+    } else if (Array.isArray(parsed?.users)) {
+      parsed.users.forEach(saved => {
+        const id = Number(saved?.id)
+        if (Number.isFinite(id)) {
+          userRecords.set(id, {
+            ...createUserRecord(id, { joinedAt: null }),
+            passwordUnlockedAt: legacyPasswordUnlock(saved),
+            ...saved,
+            id
+          })
         }
       })
     }
   } catch (error) {
-    if (error.code !== 'ENOENT') {
-      console.warn('Unable to load authorized users file:', error)
-    }
+    console.warn('Unable to load authorized users:', error)
   }
 }
 
 async function loadDownloadCountFromDisk() {
   try {
-    const raw = await fsp.readFile(DOWNLOAD_COUNT_PATH, 'utf8')
-    const parsed = JSON.parse(raw)
+    const parsed = await loadDocument('download-count')
     let value
     if (typeof parsed === 'number') {
       value = parsed
@@ -48,28 +81,347 @@ async function loadDownloadCountFromDisk() {
       downloadCount = value
     }
   } catch (error) {
-    if (error.code !== 'ENOENT') {
-      console.warn('Unable to load download count file:', error)
-    }
+    console.warn('Unable to load download count:', error)
+  }
+}
+
+async function loadQuotasFromDisk() {
+  try {
+    const parsed = await loadDocument('user-quotas')
+    const now = Date.now()
+    Object.entries(parsed?.history || {}).forEach(([key, stamps]) => {
+      const id = Number(key)
+      if (!Number.isFinite(id) || !Array.isArray(stamps)) return
+      const recent = stamps.filter(stamp => Number.isFinite(stamp) && now - stamp < DAY_MS)
+      if (recent.length) downloadHistory.set(id, recent)
+    })
+    Object.entries(parsed?.limits || {}).forEach(([key, limits]) => {
+      const id = Number(key)
+      if (Number.isFinite(id) && limits && typeof limits === 'object') {
+        userLimits.set(id, limits)
+      }
+    })
+  } catch (error) {
+    console.warn('Unable to load user quotas:', error)
   }
 }
 
 function isAuthorized(userId) {
-  return authorizedUsers.has(userId)
+  const record = userRecords.get(userId)
+  return record?.status === 'authorized' && !hasAccessLapsed(record)
 }
 
-function addAuthorizedUser(userId) {
-  authorizedUsers.add(userId)
+function isBanned(userId) {
+  return userRecords.get(userId)?.status === 'banned'
+}
+
+/**
+ * Authorize `userId`, keeping the record (download count, history) of a user
+ * who was revoked or expired before. `from` is the Telegram user object, if
+ * known. `opts.expiresAt` limits the access (null = no expiry);
+ * `opts.invitedBy` and `opts.inviteCode` are set when the user came in
+ * through an invite code, `opts.password` when they typed a password.
+ */
+function addAuthorizedUser(userId, from, opts = {}) {
+  const existing = userRecords.get(userId)
+  const record = existing || createUserRecord(userId)
+  record.status = 'authorized'
+  record.joinedAt = existing?.joinedAt || Date.now()
+  record.expiresAt = opts.expiresAt || null
+  record.expiryReminderSentAt = null
+  if (opts.inviteCode) {
+    record.invitedBy = opts.invitedBy
+    record.inviteCode = opts.inviteCode
+  }
+  if (opts.password && record.passwordUnlockedAt === null) {
+    record.passwordUnlockedAt = Date.now()
+  }
+  applyProfile(record, from)
+  userRecords.set(userId, record)
   scheduleAuthorizedPersist()
+  return record
+}
+
+/**
+ * Push back the access expiry of an authorized or expired user by
+ * `durationMs`, counted from the current expiry when it is still ahead.
+ * A null duration removes the expiry. Expired users get their access back.
+ */
+function extendAccess(userId, durationMs) {
+  const record = userRecords.get(userId)
+  if (!record || !['authorized', 'expired'].includes(record.status)) return null
+  if (durationMs === null) {
+    record.expiresAt = null
+  } else {
+    record.expiresAt = Math.max(record.expiresAt || 0, Date.now()) + durationMs
+  }
+  record.status = 'authorized'
+  record.expiryReminderSentAt = null
+  scheduleAuthorizedPersist()
+  return record
+}
+
+/**
+ * Mark users whose access lapsed as expired and pick the ones whose access
+ * ends within `reminderWindowMs` and who were not reminded yet (they are
+ * marked as reminded). Returns { expired, expiring } record lists for the
+ * caller to notify.
+ */
+function collectAccessExpiry(reminderWindowMs) {
+  const now = Date.now()
+  const expired = []
+  const expiring = []
+  userRecords.forEach(record => {
+    if (record.status !== 'authorized' || !record.expiresAt) return
+    if (hasAccessLapsed(record)) {
+      record.status = 'expired'
+      expired.push(record)
+    } else if (!record.expiryReminderSentAt && record.expiresAt - now <= reminderWindowMs) {
+      record.expiryReminderSentAt = now
+      expiring.push(record)
+    }
+  })
+  if (expired.length || expiring.length) scheduleAuthorizedPersist()
+  return { expired, expiring }
+}
+
+function revokeUser(userId) {
+  const record = userRecords.get(userId)
+  if (!record || !['authorized', 'expired'].includes(record.status)) return null
+  record.status = 'revoked'
+  scheduleAuthorizedPersist()
+  return record
+}
+
+/**
+ * Ban a user, known or not, so they are turned away before the password flow.
+ */
+function banUser(userId, reason) {
+  const record = userRecords.get(userId) || createUserRecord(userId, { joinedAt: null })
+  record.status = 'banned'
+  record.bannedAt = Date.now()
+  record.banReason = reason || null
+  userRecords.set(userId, record)
+  scheduleAuthorizedPersist()
+  return record
+}
+
+/**
+ * Lift a ban. The user is not re-authorized and has to unlock again.
+ */
+function unbanUser(userId) {
+  const record = userRecords.get(userId)
+  if (!record || record.status !== 'banned') return null
+  record.status = 'revoked'
+  record.bannedAt = null
+  record.banReason = null
+  scheduleAuthorizedPersist()
+  return record
+}
+
+/**
+ * Refresh username/name and last-seen time for a user we already know.
+ */
+function touchUser(from) {
+  const record = userRecords.get(from?.id)
+  if (!record) return
+  applyProfile(record, from)
+  record.lastSeenAt = Date.now()
+  scheduleAuthorizedPersist()
+}
+
+function getUserRecord(userId) {
+  return userRecords.get(userId) || null
+}
+
+function findUserByUsername(username) {
+  const wanted = username.replace(/^@/, '').toLowerCase()
+  return [...userRecords.values()].find(record => record.username?.toLowerCase() === wanted) || null
+}
+
+function listUserRecords() {
+  return [...userRecords.values()]
+}
+
+function listAuthorizedUserIds() {
+  return [...userRecords.values()]
+    .filter(record => record.status === 'authorized' && !hasAccessLapsed(record))
+    .map(record => record.id)
+}
+
+function getAuthorizedUserCount() {
+  return listAuthorizedUserIds().length
+}
+
+/**
+ * Active users that take a password slot: invited users do not count
+ * against the 25-users-per-password capacity.
+ */
+function getPasswordUserCount() {
+  return [...userRecords.values()].filter(
+    record => record.status === 'authorized' && !hasAccessLapsed(record) && !record.inviteCode
+  ).length
+}
+
+/**
+ * How many users ever unlocked the bot with a password, whatever their
+ * status now. It only goes up, so the password block it selects never moves
+ * back to an older password when users are revoked, banned or expire.
+ */
+function getPasswordUnlockCount() {
+  let count = 0
+  userRecords.forEach(record => {
+    if (record.passwordUnlockedAt !== null) count += 1
+  })
+  return count
 }
 
 function getDownloadCount() {
   return downloadCount
 }
 
-function incrementDownloadCount() {
+function incrementDownloadCount(userId) {
   downloadCount += 1
   scheduleDownloadCountPersist()
+  const record = userRecords.get(userId)
+  if (record) {
+    record.downloads += 1
+    scheduleAuthorizedPersist()
+  }
+}
+
+function createUserRecord(userId, overrides = {}) {
+  return {
+    id: userId,
+    username: null,
+    firstName: null,
+    status: 'authorized',
+    joinedAt: Date.now(),
+    lastSeenAt: null,
+    downloads: 0,
+    invitedBy: null,
+    inviteCode: null,
+    passwordUnlockedAt: null,
+    expiresAt: null,
+    expiryReminderSentAt: null,
+    bannedAt: null,
+    banReason: null,
+    ...overrides
+  }
+}
+
+/**
+ * Records saved before passwordUnlockedAt existed: everyone who did not come
+ * in through an invite is assumed to have used a password (banned strangers
+ * who never joined excepted). Over-counting only skips ahead to a newer
+ * password.
+ */
+function legacyPasswordUnlock(saved) {
+  if (saved.inviteCode || (saved.status === 'banned' && !saved.joinedAt)) return null
+  return saved.joinedAt || 0
+}
+
+function hasAccessLapsed(record) {
+  return Boolean(record.expiresAt) && record.expiresAt <= Date.now()
+}
+
+function applyProfile(record, from) {
+  if (!from) return
+  if (from.username) record.username = from.username
+  if (from.first_name) record.firstName = from.first_name
+}
+
+/**
+ * Effective limits for a user: admin overrides on top of the configured
+ * defaults. A limit of 0 means unlimited.
+ */
+function getUserLimits(userId) {
+  const custom = userLimits.get(userId) || {}
+  return {
+    daily: Number.isFinite(custom.daily) ? custom.daily : QUOTA_DAILY,
+    hourly: Number.isFinite(custom.hourly) ? custom.hourly : QUOTA_HOURLY,
+    burst: Number.isFinite(custom.burst) ? custom.burst : QUOTA_BURST,
+    exempt: custom.exempt === true,
+    custom: userLimits.has(userId)
+  }
+}
+
+/**
+ * Merge `patch` ({ daily, hourly, burst, exempt }) into a user's overrides,
+ * or drop them all when `patch` is null.
+ */
+function setUserLimits(userId, patch) {
+  if (patch === null) {
+    userLimits.delete(userId)
+  } else {
+    const next = { ...userLimits.get(userId) }
+    LIMIT_KEYS.forEach(key => {
+      if (Number.isFinite(patch[key])) next[key] = patch[key]
+    })
+    if (typeof patch.exempt === 'boolean') next.exempt = patch.exempt
+    userLimits.set(userId, next)
+  }
+  scheduleQuotasPersist()
+  return getUserLimits(userId)
+}
+
+/**
+ * Usage in each rolling window. `blocked` is the first window whose limit is
+ * reached (null when the user may download), with `resetAt` the moment a
+ * slot frees up again.
+ */
+function getQuotaStatus(userId, now = Date.now()) {
+  return computeQuotaStatus(downloadHistory.get(userId) || [], getUserLimits(userId), now)
+}
+
+/**
+ * getQuotaStatus for download timestamps `history` under `limits` (see
+ * getUserLimits).
+ */
+function computeQuotaStatus(history, limits, now = Date.now()) {
+  const stamps = history.filter(stamp => now - stamp < DAY_MS)
+  const windows = [
+    { name: 'burst', limit: limits.burst, windowMs: QUOTA_BURST_WINDOW_MS },
+    { name: 'hourly', limit: limits.hourly, windowMs: HOUR_MS },
+    { name: 'daily', limit: limits.daily, windowMs: DAY_MS }
+  ].map(window => {
+    const inWindow = stamps.filter(stamp => now - stamp < window.windowMs)
+    const used = inWindow.length
+    const unlimited = !window.limit
+    const remaining = unlimited ? null : Math.max(0, window.limit - used)
+    let resetAt = null
+    if (!unlimited && used) {
+      resetAt = inWindow[Math.max(0, used - window.limit)] + window.windowMs
+    }
+    return { ...window, used, remaining, resetAt }
+  })
+  const blocked = limits.exempt
+    ? null
+    : windows.find(window => window.limit && window.used >= window.limit) || null
+  return { exempt: limits.exempt, windows, blocked }
+}
+
+/**
+ * Count a download for `userId`; returns its timestamp for releaseDownload.
+ */
+function recordDownload(userId, now = Date.now()) {
+  const stamps = (downloadHistory.get(userId) || []).filter(stamp => now - stamp < DAY_MS)
+  stamps.push(now)
+  downloadHistory.set(userId, stamps)
+  scheduleQuotasPersist()
+  return now
+}
+
+/**
+ * Give back a download recorded at `stamp` that was never delivered.
+ */
+function releaseDownload(userId, stamp) {
+  const stamps = downloadHistory.get(userId) || []
+  const index = stamps.indexOf(stamp)
+  if (index === -1) return
+  stamps.splice(index, 1)
+  if (!stamps.length) downloadHistory.delete(userId)
+  scheduleQuotasPersist()
 }
 
 async function flushState() {
@@ -81,6 +433,10 @@ async function flushState() {
     clearTimeout(persistDownloadCountTimer)
     persistDownloadCountTimer = null
   }
+  if (persistQuotasTimer) {
+    clearTimeout(persistQuotasTimer)
+    persistQuotasTimer = null
+  }
 
   const pending = []
   if (authorizedUsersDirty) {
@@ -100,6 +456,15 @@ async function flushState() {
     )
   }
 
+  if (quotasDirty) {
+    pending.push(
+      persistQuotas().catch(error => {
+        console.error('Failed to persist user quotas during shutdown:', error)
+        throw error
+      })
+    )
+  }
+
   if (!pending.length) {
     return
   }
@@ -129,30 +494,60 @@ function scheduleDownloadCountPersist() {
   }, 250)
 }
 
+function scheduleQuotasPersist() {
+  quotasDirty = true
+  if (persistQuotasTimer) return
+  persistQuotasTimer = setTimeout(() => {
+    persistQuotasTimer = null
+    persistQuotas().catch(error => console.error('Failed to persist user quotas:', error))
+  }, 250)
+}
+
 async function persistAuthorizedUsers() {
   authorizedUsersDirty = false
-  await fsp.mkdir(DATA_DIR, { recursive: true })
-  const payload = JSON.stringify([...authorizedUsers])
-  const tempPath = `${AUTH_STORE_PATH}.tmp-${Date.now()}`
-  await fsp.writeFile(tempPath, payload, 'utf8')
-  await fsp.rename(tempPath, AUTH_STORE_PATH)
+  await saveDocument('authorized-users', { version: 2, users: [...userRecords.values()] })
 }
 
 async function persistDownloadCount() {
   downloadCountDirty = false
-  await fsp.mkdir(DATA_DIR, { recursive: true })
-  const tempPath = `${DOWNLOAD_COUNT_PATH}.tmp-${Date.now()}`
-  await fsp.writeFile(tempPath, JSON.stringify(downloadCount), 'utf8')
-  await fsp.rename(tempPath, DOWNLOAD_COUNT_PATH)
+  await saveDocument('download-count', downloadCount)
+}
+
+async function persistQuotas() {
+  quotasDirty = false
+  await saveDocument('user-quotas', {
+    history: Object.fromEntries(downloadHistory),
+    limits: Object.fromEntries(userLimits)
+  })
 }
 
 module.exports = {
   addAuthorizedUser,
-  authorizedUsers,
+  banUser,
+  collectAccessExpiry,
+  computeQuotaStatus,
+  extendAccess,
+  findUserByUsername,
   flushState,
+  getAuthorizedUserCount,
   getDownloadCount,
+  getPasswordUnlockCount,
+  getPasswordUserCount,
+  getQuotaStatus,
+  getUserLimits,
+  getUserRecord,
   incrementDownloadCount,
   isAuthorized,
+  isBanned,
+  listAuthorizedUserIds,
+  listUserRecords,
   loadAuthorizedUsersFromDisk,
-  loadDownloadCountFromDisk
+  loadDownloadCountFromDisk,
+  loadQuotasFromDisk,
+  recordDownload,
+  releaseDownload,
+  revokeUser,
+  setUserLimits,
+  touchUser,
+  unbanUser
 }
@@ -5,76 +5,367 @@ require('dotenv').config()
 const { Bot, InputFile } = require('grammy')
 const fs = require('node:fs')
 const fsp = require('node:fs/promises')
+const path = require('node:path')
 const messages = require('./messages')
 const {
+  ACCESS_DURATION_MS,
   ACCESS_PASSWORDS,
+  ACCESS_REMINDER_MS,
   ADMIN_USER_IDS,
   BOT_TOKEN,
+  DAILY_DIGEST_MINUTES,
   ENABLE_QUALITY_ANALYSIS,
+  FFMPEG_PATH,
+  FFPROBE_PATH,
+  HTTP_HOST,
+  HTTP_PORT,
+  JOB_TIMEOUT_MS,
   MAX_AUTHORIZED_USERS,
   MAX_CONCURRENT_DOWNLOADS,
   MAX_PENDING_DOWNLOADS,
+  MAX_PENDING_PER_USER,
   QUALITY_ANALYSIS_DEBUG,
   PASSWORD_SEGMENT_SIZE,
   SHUTDOWN_SIGNALS,
+  TELEGRAM_API_ROOT,
   TELEGRAM_MAX_FILE_BYTES,
+  WRITE_REPLAYGAIN_TAGS,
   validateRequiredEnv
 } = require('./config')
 const { buildCaption } = require('./captions')
-const { downloadTrack, cleanupTempDir, fetchPlaylistTracks } = require('./downloader')
+const {
+  downloadTrack,
+  cleanupTempDir,
+  fetchPlaylistTracks,
+  fetchTrackInfo,
+  checkYtDlpBinary,
+  listAudioFormats
+} = require('./downloader')
 const { analyzeTrackQuality, qualityDebug } = require('./quality')
-const { createTaskQueue } = require('./queue')
+const { replayGainTags } = require('./loudness')
+const { writeMetadataTags } = require('./tags')
+const { tempoKeyTags } = require('./tempo-key')
+const { isLossyDelivery } = require('./spectrum')
+const {
+  extractFormatOverride,
+  isOutputFormat,
+  outputFormatLabel,
+  pickFitBitrate,
+  transcodeAudio,
+  transcodeToFit
+} = require('./transcode')
+const { createPartStream, planFileParts } = require('./split')
+const { QUEUE_PRIORITIES, createTaskQueue } = require('./queue')
+const { createStatusMessage } = require('./status-message')
+const {
+  cancelJob,
+  createJob,
+  finishJob,
+  getJob,
+  listUserJobs,
+  queueWaitMs,
+  resolveJobError,
+  startJob
+} = require('./jobs')
 const { isIdhsSupportedLink, resolveLinkViaIdhs } = require('./idhs')
+const { summarizeTrackInfo } = require('./track-info')
+const {
+  clearDownloadCache,
+  downloadCacheKey,
+  flushDownloadCache,
+  getCachedDownload,
+  getDownloadCacheStats,
+  invalidateCachedTrack,
+  loadDownloadCacheFromDisk,
+  removeCachedDownload,
+  storeCachedDownload
+} = require('./download-cache')
+const {
+  addToken,
+  checkAllTokens,
+  enableToken,
+  flushTokenPool,
+  listTokens,
+  loadTokenPoolFromDisk,
+  onTokenDisabled,
+  removeToken,
+  startTokenHealthChecks,
+  stopTokenHealthChecks
+} = require('./token-pool')
 const {
   addAuthorizedUser,
-  authorizedUsers,
+  banUser,
+  collectAccessExpiry,
+  extendAccess,
+  findUserByUsername,
   flushState,
+  getAuthorizedUserCount,
   getDownloadCount,
+  getPasswordUnlockCount,
+  getPasswordUserCount,
+  getQuotaStatus,
+  getUserLimits,
+  getUserRecord,
   incrementDownloadCount,
   isAuthorized,
+  isBanned,
+  listAuthorizedUserIds,
+  listUserRecords,
   loadAuthorizedUsersFromDisk,
-  loadDownloadCountFromDisk
+  loadDownloadCountFromDisk,
+  loadQuotasFromDisk,
+  recordDownload,
+  releaseDownload,
+  revokeUser,
+  setUserLimits,
+  touchUser,
+  unbanUser
 } = require('./auth-store')
+const {
+  createInvite,
+  flushInvites,
+  listActiveInvites,
+  loadInvitesFromDisk,
+  looksLikeInviteCode,
+  redeemInvite,
+  revokeInvite
+} = require('./invite-store')
+const {
+  addHistoryEntry,
+  clearHistoryFileId,
+  flushHistory,
+  getHistoryEntry,
+  getHistoryPage,
+  loadHistoryFromDisk
+} = require('./history-store')
+const {
+  addToWaitlist,
+  clearWaitlistDenial,
+  denyWaitlistEntry,
+  flushWaitlist,
+  isWaitlistDenied,
+  listWaitlist,
+  loadWaitlistFromDisk,
+  moveWaitlistEntry,
+  removeFromWaitlist
+} = require('./waitlist-store')
+const {
+  flushUserSettings,
+  getUserSettings,
+  loadUserSettingsFromDisk,
+  updateUserSettings
+} = require('./settings-store')
+const { closeStorage, initStorage } = require('./storage')
+const { flushAuditLog, formatEventsCsv, logEvent, queryEvents } = require('./audit-log')
+const { computeStats } = require('./stats')
+const { incrementCounter, observeHistogram, registerGauge } = require('./metrics')
+const { startHttpServer } = require('./http-server')
 const {
   extractFirstUrl,
   extractSoundCloudUrl,
   formatUserFacingError,
   isBotCommand,
-  isSoundCloudPlaylist
+  isSoundCloudPlaylist,
+  parseDuration,
+  spawnCollect
 } = require('./utils')
 
 validateRequiredEnv()
 
-const bot = new Bot(BOT_TOKEN)
+const bot = new Bot(
+  BOT_TOKEN,
+  TELEGRAM_API_ROOT ? { client: { apiRoot: TELEGRAM_API_ROOT } } : undefined
+)
 const awaitingPassword = new Set()
-const downloadQueue = createTaskQueue(MAX_CONCURRENT_DOWNLOADS, MAX_PENDING_DOWNLOADS)
+const downloadQueue = createTaskQueue(
+  MAX_CONCURRENT_DOWNLOADS,
+  MAX_PENDING_PER_USER,
+  MAX_PENDING_DOWNLOADS
+)
+// Metadata lookups are short-lived, so they get their own small queue instead
+// of competing with downloads for a worker slot.
+const infoQueue = createTaskQueue(2, MAX_PENDING_PER_USER, MAX_PENDING_DOWNLOADS)
 let isShuttingDown = false
+let httpServer = null
 const playlistSessions = new Map()
+const formatChoices = new Map()
+const oversizeChoices = new Map()
 const adminUserIds = new Set(ADMIN_USER_IDS)
 const PLAYLIST_CHUNK_SIZE = 10
 const PLAYLIST_MAX_ITEMS = 100
 const PLAYLIST_GROUP_SIZE = 10
+const FORMAT_CHOICE_TTL_MS = 10 * 60 * 1000
+const TELEGRAM_MESSAGE_LIMIT = 4096
+const ACCESS_CHECK_INTERVAL_MS = 60 * 60 * 1000
+const DAY_MS = 24 * 60 * 60 * 1000
+const DEFAULT_STATS_PERIOD_MS = 7 * DAY_MS
+const HISTORY_PAGE_SIZE = 5
+let accessExpiryTimer
+let dailyDigestTimer
 
 function isAuthCapacityReached() {
-  return ACCESS_PASSWORDS.length === 0 || authorizedUsers.size >= MAX_AUTHORIZED_USERS
+  return ACCESS_PASSWORDS.length === 0 || getPasswordUserCount() >= MAX_AUTHORIZED_USERS
 }
 
+/**
+ * The password for the current 25-user block. Blocks follow every password
+ * unlock ever made, so revoking or expiring users never brings an older
+ * password back; once past the last block, the last password stays in use
+ * while capacity frees up.
+ */
 function passwordForNextUser() {
-  const segmentIndex = Math.floor(authorizedUsers.size / PASSWORD_SEGMENT_SIZE)
-  return ACCESS_PASSWORDS[segmentIndex]
+  const segmentIndex = Math.floor(getPasswordUnlockCount() / PASSWORD_SEGMENT_SIZE)
+  return ACCESS_PASSWORDS[Math.min(segmentIndex, ACCESS_PASSWORDS.length - 1)]
 }
 
 function isAdmin(userId) {
   return typeof userId === 'number' && adminUserIds.has(userId)
 }
 
-async function notifyAdmins(message) {
+/**
+ * Expiry timestamp for an authorization that starts now, or null when it
+ * should not expire. Admins never expire.
+ */
+function accessExpiryFor(userId, durationMs = ACCESS_DURATION_MS) {
+  if (isAdmin(userId) || !durationMs) return null
+  return Date.now() + durationMs
+}
+
+/**
+ * Expire lapsed authorizations and remind users whose access ends soon.
+ */
+function checkAccessExpiry() {
+  const { expired, expiring } = collectAccessExpiry(ACCESS_REMINDER_MS)
+  expiring.forEach(record => {
+    bot.api
+      .sendMessage(record.id, messages.accessExpiringSoon(record.expiresAt))
+      .catch(error =>
+        console.warn('Failed to send expiry reminder', record.id, error?.message || error)
+      )
+  })
+  expired.forEach(record => {
+    console.log(`Access expired for user ${record.id}`)
+    logEvent('access_expired', record.id)
+    bot.api
+      .sendMessage(record.id, messages.accessExpired())
+      .catch(error =>
+        console.warn('Failed to send expiry notice', record.id, error?.message || error)
+      )
+  })
+}
+
+function cancelUserJobs(userId) {
+  return listUserJobs(userId).filter(job => cancelJob(job.id))
+}
+
+/**
+ * Resolve the target of an admin user command: a numeric id, or an @username
+ * of someone the bot has already seen.
+ */
+function resolveUserTarget(value) {
+  if (!value) return null
+  if (/^\d+$/.test(value)) return Number(value)
+  return findUserByUsername(value)?.id ?? null
+}
+
+/**
+ * Split `lines` into messages that stay under Telegram's message size limit.
+ */
+function chunkLines(lines, limit = TELEGRAM_MESSAGE_LIMIT) {
+  const chunks = []
+  let current = ''
+  lines.forEach(line => {
+    if (current && current.length + line.length + 1 > limit) {
+      chunks.push(current)
+      current = ''
+    }
+    current = current ? `${current}\n${line}` : line
+  })
+  if (current) chunks.push(current)
+  return chunks
+}
+
+/**
+ * Parse `/export` arguments: `[csv|json] [from=YYYY-MM-DD] [to=YYYY-MM-DD]
+ * [user=<id|@username>] [type=a,b]`. Dates are UTC days and `to` includes its
+ * whole day. Returns null on anything it does not understand.
+ */
+function parseExportArgs(text) {
+  const request = { format: 'csv', filter: {} }
+  for (const arg of text.split(/\s+/).filter(Boolean)) {
+    const lower = arg.toLowerCase()
+    if (lower === 'csv' || lower === 'json') {
+      request.format = lower
+      continue
+    }
+    const [key, value] = arg.split('=', 2)
+    if (!value) return null
+    if (key === 'from' || key === 'to') {
+      const day = Date.parse(`${value}T00:00:00Z`)
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || !Number.isFinite(day)) return null
+      request.filter[key] = key === 'to' ? day + 24 * 60 * 60 * 1000 - 1 : day
+    } else if (key === 'user') {
+      const targetId = resolveUserTarget(value)
+      if (!targetId) return null
+      request.filter.userId = targetId
+    } else if (key === 'type') {
+      request.filter.types = value.split(',').filter(Boolean)
+    } else {
+      return null
+    }
+  }
+  return request
+}
+
+/**
+ * Stats over the last `periodMs`, computed from the audit log so they survive
+ * restarts.
+ */
+async function buildStatsReport(periodMs, title) {
+  const to = Date.now()
+  const from = to - periodMs
+  const events = await queryEvents({ from, to, types: ['download', 'download_failed'] })
+  const stats = computeStats(events, { from, to })
+  return messages.statsReport(title, stats, statsUserLabel)
+}
+
+function statsUserLabel(userId) {
+  const record = getUserRecord(userId)
+  if (record?.username) return `@${record.username}`
+  return record?.firstName ? `${record.firstName} (${userId})` : String(userId)
+}
+
+/**
+ * Arm the timer for the next daily digest at DAILY_DIGEST_MINUTES (UTC); it
+ * re-arms itself after each send.
+ */
+function scheduleDailyDigest() {
+  if (DAILY_DIGEST_MINUTES === null || !adminUserIds.size) return
+  const now = Date.now()
+  let next = Math.floor(now / DAY_MS) * DAY_MS + DAILY_DIGEST_MINUTES * 60 * 1000
+  if (next <= now) next += DAY_MS
+  dailyDigestTimer = setTimeout(() => {
+    sendDailyDigest()
+      .catch(error => console.warn('Failed to send daily digest:', error?.message || error))
+      .finally(scheduleDailyDigest)
+  }, next - now)
+  dailyDigestTimer.unref()
+}
+
+async function sendDailyDigest() {
+  const report = await buildStatsReport(DAY_MS, messages.dailyDigestTitle())
+  for (const chunk of chunkLines(report.split('\n'))) {
+    await notifyAdmins(chunk)
+  }
+}
+
+async function notifyAdmins(message, other) {
   if (!adminUserIds.size) return
   const sends = []
   adminUserIds.forEach(id => {
     sends.push(
       bot.api
-        .sendMessage(id, message)
+        .sendMessage(id, message, other)
         .catch(error => console.warn('Failed to notify admin', id, error?.message || error))
     )
   })
@@ -90,11 +381,32 @@ function shouldNotifyAdmin(error) {
 
 setupSignalHandlers()
 setupErrorHandlers()
+setupMetrics()
+
+onTokenDisabled((token, reason) => {
+  notifyAdmins(messages.tokenDisabledAlert(token.id, token.label, reason)).catch(() => {})
+})
 
 bot.api
   .setMyCommands([{ command: 'start', description: 'Show bot instructions' }])
   .catch(error => console.warn('Unable to set bot commands:', error))
 
+// Keeps known users' profiles fresh and turns banned users away before any
+// command or the password flow sees the update. Admins are never blocked.
+bot.use(async (ctx, next) => {
+  const userId = ctx.from?.id
+  if (userId && isBanned(userId) && !isAdmin(userId)) {
+    if (ctx.callbackQuery) {
+      await ctx.answerCallbackQuery({ text: messages.userBanned() }).catch(() => {})
+    } else if (ctx.message) {
+      await ctx.reply(messages.userBanned())
+    }
+    return
+  }
+  if (userId) touchUser(ctx.from)
+  await next()
+})
+
 bot.command('start', async ctx => {
   await ctx.reply(messages.startIntro())
 
@@ -104,17 +416,214 @@ bot.command('start', async ctx => {
     return
   }
 
+  // Deep links (t.me/<bot>?start=<code>) hand the invite code over as payload.
+  const payload = (ctx.match || '').trim()
   if (isAuthorized(userId)) {
     await ctx.reply(messages.alreadyAuthorized())
-  } else {
-    await promptForPassword(ctx, userId)
+    return
+  }
+
+  if (payload) {
+    if (await redeemInviteCode(ctx, userId, payload)) return
+    await ctx.reply(messages.inviteInvalid())
   }
+  await promptForPassword(ctx, userId)
 })
 
 bot.command('downloads', async ctx => {
   await ctx.reply(messages.downloadCount(getDownloadCount()))
 })
 
+bot.command('stats', async ctx => {
+  const userId = ctx.from?.id
+  if (!userId) {
+    await ctx.reply(messages.userIdMissing())
+    return
+  }
+
+  if (!isAdmin(userId)) {
+    await ctx.reply(messages.notAdmin())
+    return
+  }
+
+  const rawPeriod = (ctx.match || '').trim()
+  const periodMs = rawPeriod ? parseDuration(rawPeriod) : DEFAULT_STATS_PERIOD_MS
+  if (!periodMs) {
+    await ctx.reply(messages.statsUsage())
+    return
+  }
+
+  const report = await buildStatsReport(periodMs, messages.statsTitle(periodMs))
+  for (const chunk of chunkLines(report.split('\n'))) {
+    await ctx.reply(chunk)
+  }
+})
+
+bot.command('spectro', async ctx => {
+  const userId = ctx.from?.id
+  if (!userId) {
+    await ctx.reply(messages.userIdMissing())
+    return
+  }
+
+  if (!isAuthorized(userId)) {
+    await promptForPassword(ctx, userId)
+    return
+  }
+
+  const current = getUserSettings(userId)
+  const next = updateUserSettings(userId, { spectrogram: !current.spectrogram })
+  await ctx.reply(next.spectrogram ? messages.spectrogramEnabled() : messages.spectrogramDisabled())
+})
+
+bot.command('format', async ctx => {
+  const userId = ctx.from?.id
+  if (!userId) {
+    await ctx.reply(messages.userIdMissing())
+    return
+  }
+
+  if (!isAuthorized(userId)) {
+    await promptForPassword(ctx, userId)
+    return
+  }
+
+  const requested = (ctx.match || '').trim().toLowerCase()
+  if (!requested) {
+    await ctx.reply(messages.formatCurrent(getUserSettings(userId).format))
+    return
+  }
+
+  if (requested !== 'original' && !isOutputFormat(requested)) {
+    await ctx.reply(messages.formatInvalid())
+    return
+  }
+
+  updateUserSettings(userId, { format: requested })
+  await ctx.reply(messages.formatUpdated(requested))
+})
+
+bot.command('info', async ctx => {
+  const userId = ctx.from?.id
+  if (!userId) {
+    await ctx.reply(messages.userIdMissing())
+    return
+  }
+
+  if (!isAuthorized(userId)) {
+    await promptForPassword(ctx, userId)
+    return
+  }
+
+  const url = extractSoundCloudUrl(ctx.match || '')
+  if (!url) {
+    await ctx.reply(messages.infoUsage())
+    return
+  }
+  if (isSoundCloudPlaylist(url)) {
+    await ctx.reply(messages.infoPlaylistUnsupported())
+    return
+  }
+
+  try {
+    const info = await infoQueue.add(() => fetchTrackInfo(url), { userId: ctx.from.id })
+    await ctx.reply(messages.trackInfo(summarizeTrackInfo(info)))
+  } catch (error) {
+    console.error('Info lookup failed:', error)
+    if (shouldNotifyAdmin(error)) {
+      notifyAdmins(messages.adminErrorNotice(describeError(error))).catch(() => {})
+    }
+    await ctx.reply(formatUserFacingError(error))
+  }
+})
+
+bot.command('cancel', async ctx => {
+  const userId = ctx.from?.id
+  if (!userId) {
+    await ctx.reply(messages.userIdMissing())
+    return
+  }
+
+  // Each cancelled job answers for itself once it has stopped.
+  if (!cancelUserJobs(userId).length) {
+    await ctx.reply(messages.noJobToCancel())
+  }
+})
+
+bot.command('quota', async ctx => {
+  const userId = ctx.from?.id
+  if (!userId) {
+    await ctx.reply(messages.userIdMissing())
+    return
+  }
+
+  if (!isAuthorized(userId)) {
+    await promptForPassword(ctx, userId)
+    return
+  }
+
+  const status = getQuotaStatus(userId)
+  await ctx.reply(messages.quotaStatus(isAdmin(userId) ? { ...status, exempt: true } : status))
+})
+
+bot.command('history', async ctx => {
+  const userId = ctx.from?.id
+  if (!userId) {
+    await ctx.reply(messages.userIdMissing())
+    return
+  }
+
+  if (!isAuthorized(userId)) {
+    await promptForPassword(ctx, userId)
+    return
+  }
+
+  const view = historyView(userId, 0)
+  await ctx.reply(view.text, { reply_markup: view.keyboard })
+})
+
+bot.command('setquota', async ctx => {
+  const userId = ctx.from?.id
+  if (!userId) {
+    await ctx.reply(messages.userIdMissing())
+    return
+  }
+
+  if (!isAdmin(userId)) {
+    await ctx.reply(messages.notAdmin())
+    return
+  }
+
+  const [rawTarget, ...settings] = (ctx.match || '').trim().split(/\s+/)
+  const targetId = Number(rawTarget)
+  if (!Number.isInteger(targetId) || targetId <= 0) {
+    await ctx.reply(messages.setQuotaUsage())
+    return
+  }
+  if (!settings.length) {
+    await ctx.reply(messages.quotaLimitsUpdated(targetId, getUserLimits(targetId)))
+    return
+  }
+
+  let patch = {}
+  for (const setting of settings) {
+    const [key, value] = setting.toLowerCase().split('=')
+    const limit = Number(value)
+    if (key === 'default' && value === undefined) {
+      patch = null
+      break
+    } else if ((key === 'exempt' || key === 'unexempt') && value === undefined) {
+      patch.exempt = key === 'exempt'
+    } else if (['daily', 'hourly', 'burst'].includes(key) && Number.isInteger(limit) && limit >= 0) {
+      patch[key] = limit
+    } else {
+      await ctx.reply(messages.setQuotaUsage())
+      return
+    }
+  }
+  await ctx.reply(messages.quotaLimitsUpdated(targetId, setUserLimits(targetId, patch)))
+})
+
 bot.command('userid', async ctx => {
   const userId = ctx.from?.id
   if (!userId) {
@@ -126,6 +635,321 @@ bot.command('userid', async ctx => {
   await ctx.reply(messages.userIdResponse(userId))
 })
 
+bot.command('tokens', async ctx => {
+  const userId = ctx.from?.id
+  if (!userId) {
+    await ctx.reply(messages.userIdMissing())
+    return
+  }
+
+  if (!isAdmin(userId)) {
+    await ctx.reply(messages.notAdmin())
+    return
+  }
+
+  const [action, value] = (ctx.match || '').trim().split(/\s+/)
+  if (!action) {
+    await ctx.reply(messages.tokensList(listTokens()))
+    return
+  }
+
+  if (action === 'add' && value) {
+    const entry = addToken(value)
+    // Do not leave the raw token sitting in the chat history.
+    await ctx.deleteMessage().catch(() => {})
+    await ctx.reply(messages.tokenAdded(entry.id))
+    return
+  }
+
+  if ((action === 'remove' || action === 'enable') && value) {
+    const entry = action === 'remove' ? removeToken(value) : enableToken(value)
+    if (!entry) {
+      await ctx.reply(messages.tokenNotFound(value))
+      return
+    }
+    await ctx.reply(
+      action === 'remove' ? messages.tokenRemoved(entry.id) : messages.tokenEnabled(entry.id)
+    )
+    return
+  }
+
+  if (action === 'check') {
+    await ctx.reply(messages.tokensList(await checkAllTokens()))
+    return
+  }
+
+  await ctx.reply(messages.tokensUsage())
+})
+
+bot.command('cache', async ctx => {
+  const userId = ctx.from?.id
+  if (!userId) {
+    await ctx.reply(messages.userIdMissing())
+    return
+  }
+
+  if (!isAdmin(userId)) {
+    await ctx.reply(messages.notAdmin())
+    return
+  }
+
+  const [action, value] = (ctx.match || '').trim().split(/\s+/)
+  if (!action) {
+    await ctx.reply(messages.cacheStats(getDownloadCacheStats()))
+    return
+  }
+
+  if (action === 'clear') {
+    await ctx.reply(messages.cacheCleared(clearDownloadCache()))
+    return
+  }
+
+  if (action === 'drop' && value) {
+    let trackId = value
+    const url = extractSoundCloudUrl(value)
+    if (url) {
+      try {
+        const info = await infoQueue.add(() => fetchTrackInfo(url), { userId: ctx.from.id })
+        trackId = info?.id
+      } catch (error) {
+        await ctx.reply(formatUserFacingError(error))
+        return
+      }
+    }
+    await ctx.reply(messages.cacheInvalidated(trackId ? invalidateCachedTrack(trackId) : 0))
+    return
+  }
+
+  await ctx.reply(messages.cacheUsage())
+})
+
+bot.command('users', async ctx => {
+  const userId = ctx.from?.id
+  if (!userId) {
+    await ctx.reply(messages.userIdMissing())
+    return
+  }
+
+  if (!isAdmin(userId)) {
+    await ctx.reply(messages.notAdmin())
+    return
+  }
+
+  const records = listUserRecords().sort((a, b) => (b.lastSeenAt || 0) - (a.lastSeenAt || 0))
+  if (!records.length) {
+    await ctx.reply(messages.usersList(records))
+    return
+  }
+  for (const chunk of chunkLines(records.map(record => messages.userSummary(record)))) {
+    await ctx.reply(chunk)
+  }
+})
+
+bot.command('whois', async ctx => {
+  const userId = ctx.from?.id
+  if (!userId) {
+    await ctx.reply(messages.userIdMissing())
+    return
+  }
+
+  if (!isAdmin(userId)) {
+    await ctx.reply(messages.notAdmin())
+    return
+  }
+
+  const value = (ctx.match || '').trim()
+  if (!value) {
+    await ctx.reply(messages.userCommandUsage('whois'))
+    return
+  }
+  const record = getUserRecord(resolveUserTarget(value))
+  await ctx.reply(record ? messages.userDetails(record) : messages.userNotFound(value))
+})
+
+bot.command(['revoke', 'ban', 'unban'], async ctx => {
+  const userId = ctx.from?.id
+  if (!userId) {
+    await ctx.reply(messages.userIdMissing())
+    return
+  }
+
+  if (!isAdmin(userId)) {
+    await ctx.reply(messages.notAdmin())
+    return
+  }
+
+  const command = ctx.msg.text.match(/^\/(\w+)/)[1].toLowerCase()
+  const [value, ...reasonWords] = (ctx.match || '').trim().split(/\s+/)
+  if (!value) {
+    await ctx.reply(messages.userCommandUsage(command))
+    return
+  }
+  const targetId = resolveUserTarget(value)
+  if (!targetId) {
+    await ctx.reply(messages.userNotFound(value))
+    return
+  }
+  if (isAdmin(targetId)) {
+    await ctx.reply(messages.cannotTargetAdmin())
+    return
+  }
+
+  if (command === 'ban') {
+    banUser(targetId, reasonWords.join(' '))
+    logEvent('user_banned', targetId, { by: userId, reason: reasonWords.join(' ') || null })
+    awaitingPassword.delete(targetId)
+    removeFromWaitlist(targetId)
+    cancelUserJobs(targetId)
+    await ctx.reply(messages.userBannedByAdmin(targetId))
+    return
+  }
+
+  const record = command === 'revoke' ? revokeUser(targetId) : unbanUser(targetId)
+  if (!record) {
+    await ctx.reply(messages.userNotFound(value))
+    return
+  }
+  logEvent(command === 'revoke' ? 'user_revoked' : 'user_unbanned', targetId, { by: userId })
+  if (command === 'revoke') cancelUserJobs(targetId)
+  await ctx.reply(
+    command === 'revoke' ? messages.userRevoked(targetId) : messages.userUnbanned(targetId)
+  )
+})
+
+bot.command('invite', async ctx => {
+  const userId = ctx.from?.id
+  if (!userId) {
+    await ctx.reply(messages.userIdMissing())
+    return
+  }
+
+  if (!isAdmin(userId)) {
+    await ctx.reply(messages.notAdmin())
+    return
+  }
+
+  const args = (ctx.match || '').trim().split(/\s+/).filter(Boolean)
+  if (args[0] === 'list' && args.length === 1) {
+    await ctx.reply(messages.invitesList(listActiveInvites()))
+    return
+  }
+
+  if (args[0] === 'revoke') {
+    const invite = args[1] ? revokeInvite(args[1]) : null
+    await ctx.reply(
+      invite ? messages.inviteRevoked(invite.code) : messages.inviteNotFound(args[1] || '')
+    )
+    return
+  }
+
+  let maxUses = 1
+  let expiresAt = null
+  let accessMs = null
+  for (const arg of args) {
+    const duration = parseDuration(arg)
+    const access = arg.toLowerCase().startsWith('access=') ? parseDuration(arg.slice(7)) : null
+    if (/^\d+$/.test(arg) && Number(arg) > 0) {
+      maxUses = Number(arg)
+    } else if (duration) {
+      expiresAt = Date.now() + duration
+    } else if (access) {
+      accessMs = access
+    } else {
+      await ctx.reply(messages.inviteUsage())
+      return
+    }
+  }
+
+  const invite = createInvite({ createdBy: userId, maxUses, expiresAt, accessMs })
+  const link = `https://t.me/${ctx.me.username}?start=${invite.code}`
+  await ctx.reply(messages.inviteCreated(invite, link))
+})
+
+bot.command('extend', async ctx => {
+  const userId = ctx.from?.id
+  if (!userId) {
+    await ctx.reply(messages.userIdMissing())
+    return
+  }
+
+  if (!isAdmin(userId)) {
+    await ctx.reply(messages.notAdmin())
+    return
+  }
+
+  const [value, rawDuration = ''] = (ctx.match || '').trim().split(/\s+/)
+  const never = rawDuration.toLowerCase() === 'never'
+  const duration = never ? null : parseDuration(rawDuration)
+  if (!value || (!never && !duration)) {
+    await ctx.reply(messages.extendUsage())
+    return
+  }
+
+  const targetId = resolveUserTarget(value)
+  const record = targetId ? extendAccess(targetId, duration) : null
+  if (!record) {
+    await ctx.reply(messages.userNotFound(value))
+    return
+  }
+  logEvent('access_extended', targetId, { by: userId, expiresAt: record.expiresAt })
+  await ctx.reply(messages.accessExtended(record))
+})
+
+bot.command('waitlist', async ctx => {
+  const userId = ctx.from?.id
+  if (!userId) {
+    await ctx.reply(messages.userIdMissing())
+    return
+  }
+
+  if (!isAdmin(userId)) {
+    await ctx.reply(messages.notAdmin())
+    return
+  }
+
+  const [action, rawTarget, rawPosition] = (ctx.match || '').trim().split(/\s+/)
+  if (!action) {
+    const entries = listWaitlist()
+    if (!entries.length) {
+      await ctx.reply(messages.waitlistEmpty())
+      return
+    }
+    for (const chunk of chunkLines(entries.map(entry => messages.waitlistEntry(entry)))) {
+      await ctx.reply(chunk)
+    }
+    return
+  }
+
+  const targetId = Number(rawTarget)
+  if (!Number.isInteger(targetId) || targetId <= 0) {
+    await ctx.reply(messages.waitlistUsage())
+    return
+  }
+
+  if (action === 'move' && Number.isInteger(Number(rawPosition))) {
+    const position = moveWaitlistEntry(targetId, Number(rawPosition))
+    await ctx.reply(
+      position ? messages.waitlistMoved(targetId, position) : messages.waitlistNotFound(targetId)
+    )
+    return
+  }
+
+  if (action === 'approve' || action === 'deny') {
+    const entry =
+      action === 'approve'
+        ? approveWaitlistUser(targetId, userId)
+        : denyWaitlistUser(targetId, userId)
+    await ctx.reply(
+      entry
+        ? messages.waitlistDecision(entry, action === 'approve', userId)
+        : messages.waitlistNotFound(targetId)
+    )
+    return
+  }
+
+  await ctx.reply(messages.waitlistUsage())
+})
+
 bot.command('broadcast', async ctx => {
   const userId = ctx.from?.id
   if (!userId) {
@@ -145,14 +969,15 @@ bot.command('broadcast', async ctx => {
     return
   }
 
-  if (!authorizedUsers.size) {
+  const recipients = listAuthorizedUserIds()
+  if (!recipients.length) {
     await ctx.reply(messages.broadcastNoUsers())
     return
   }
 
   let sent = 0
   let failed = 0
-  for (const targetId of authorizedUsers) {
+  for (const targetId of recipients) {
     try {
       await bot.api.sendMessage(targetId, text)
       sent += 1
@@ -162,9 +987,42 @@ bot.command('broadcast', async ctx => {
     }
   }
 
+  logEvent('broadcast', null, { by: userId, sent, failed, text })
   await ctx.reply(messages.broadcastResult(sent, failed))
 })
 
+bot.command('export', async ctx => {
+  const userId = ctx.from?.id
+  if (!userId) {
+    await ctx.reply(messages.userIdMissing())
+    return
+  }
+
+  if (!isAdmin(userId)) {
+    await ctx.reply(messages.notAdmin())
+    return
+  }
+
+  const request = parseExportArgs((ctx.match || '').trim())
+  if (!request) {
+    await ctx.reply(messages.exportUsage())
+    return
+  }
+
+  const events = await queryEvents(request.filter)
+  if (!events.length) {
+    await ctx.reply(messages.exportEmpty())
+    return
+  }
+
+  const content =
+    request.format === 'json' ? JSON.stringify(events, null, 2) : formatEventsCsv(events)
+  const filename = `audit-${new Date().toISOString().slice(0, 10)}.${request.format}`
+  await ctx.replyWithDocument(new InputFile(Buffer.from(content), filename), {
+    caption: messages.exportCaption(events.length)
+  })
+})
+
 bot.on('message:text', async ctx => {
   if (isBotCommand(ctx)) {
     return
@@ -205,70 +1063,265 @@ bot.on('message:text', async ctx => {
     }
   }
 
-  if (!url) {
-    await ctx.reply(messages.invalidSoundCloudLink())
+  if (!url) {
+    await ctx.reply(messages.invalidSoundCloudLink())
+    return
+  }
+
+  const format = extractFormatOverride(messageText) || getUserSettings(userId).format
+
+  if (isSoundCloudPlaylist(url)) {
+    await handlePlaylistRequest(ctx, url, format)
+    return
+  }
+
+  await offerFormatChoice(ctx, url, format)
+})
+
+bot.catch(err => {
+  console.error('Bot error:', err)
+  notifyAdmins(messages.adminErrorNotice(describeError(err))).catch(() => {})
+})
+
+bot.on('callback_query:data', async ctx => {
+  const data = ctx.callbackQuery.data || ''
+  if (data.startsWith('fmt:')) {
+    await handleFormatChoice(ctx, data)
+    return
+  }
+  if (data.startsWith('big:')) {
+    await handleOversizeChoice(ctx, data)
+    return
+  }
+  if (data.startsWith('cancel:')) {
+    await handleCancelButton(ctx, data)
+    return
+  }
+  if (data.startsWith('wl:')) {
+    await handleWaitlistChoice(ctx, data)
+    return
+  }
+  if (data.startsWith('hist:')) {
+    await handleHistoryChoice(ctx, data)
+    return
+  }
+  if (!data.startsWith('pl:')) return
+  const [, action, sessionId] = data.split(':')
+  const session = playlistSessions.get(sessionId)
+  if (!session) {
+    await ctx.answerCallbackQuery({ text: 'Session expirée', show_alert: false })
+    return
+  }
+  if (ctx.from?.id !== session.userId) {
+    await ctx.answerCallbackQuery({ text: "Ce n'est pas ta playlist ;)", show_alert: true })
+    return
+  }
+
+  if (action === 'stop') {
+    playlistSessions.delete(sessionId)
+    await ctx.answerCallbackQuery({ text: 'Arrêté' })
+    await ctx.editMessageText(messages.playlistStopped())
+    return
+  }
+
+  if (action === 'cont') {
+    session.awaitingPrompt = false
+    playlistSessions.set(sessionId, session)
+    await ctx.answerCallbackQuery({ text: 'On continue' })
+    enqueueNextTrack(ctx, sessionId, true)
+  }
+})
+
+initializeBot().catch(error => {
+  console.error('Failed to start bot:', error)
+  process.exit(1)
+})
+
+async function offerFormatChoice(ctx, url, format) {
+  let info = null
+  let options = []
+  try {
+    info = await infoQueue.add(() => fetchTrackInfo(url), { userId: ctx.from.id })
+    options = listAudioFormats(info)
+  } catch (error) {
+    if (error?.userMessage) {
+      await ctx.reply(error.userMessage)
+      return
+    }
+    console.warn('Unable to list track formats:', error?.message || error)
+  }
+  if (options.length < 2) {
+    await startDownload(ctx, url, { format, trackId: info?.id })
+    return
+  }
+
+  pruneFormatChoices()
+  const choiceId = `${ctx.from.id}-${Date.now()}`
+  formatChoices.set(choiceId, {
+    userId: ctx.from.id,
+    url,
+    format,
+    info,
+    options,
+    createdAt: Date.now()
+  })
+  const keyboard = [
+    [
+      { text: messages.formatChoiceAuto(), callback_data: `fmt:${choiceId}:auto` },
+      { text: messages.infoButton(), callback_data: `fmt:${choiceId}:info` }
+    ]
+  ]
+  options.forEach((option, index) => {
+    const tooLarge = option.sizeBytes > TELEGRAM_MAX_FILE_BYTES
+    keyboard.push([
+      {
+        text: messages.formatChoiceButton(option, tooLarge),
+        callback_data: `fmt:${choiceId}:${index}`
+      }
+    ])
+  })
+  await ctx.reply(messages.formatChoicePrompt(), { reply_markup: { inline_keyboard: keyboard } })
+}
+
+async function handleFormatChoice(ctx, data) {
+  const [, choiceId, pick] = data.split(':')
+  const choice = formatChoices.get(choiceId)
+  if (!choice) {
+    await ctx.answerCallbackQuery({ text: 'Session expirée', show_alert: false })
+    return
+  }
+  if (ctx.from?.id !== choice.userId) {
+    await ctx.answerCallbackQuery({ text: "Ce n'est pas ton lien ;)", show_alert: true })
+    return
+  }
+
+  if (pick === 'info') {
+    await ctx.answerCallbackQuery()
+    await ctx.reply(messages.trackInfo(summarizeTrackInfo(choice.info)))
     return
   }
 
-  if (isSoundCloudPlaylist(url)) {
-    await handlePlaylistRequest(ctx, url)
+  const option = pick === 'auto' ? null : choice.options[Number(pick)]
+  formatChoices.delete(choiceId)
+  await ctx.answerCallbackQuery()
+  await ctx.editMessageText(messages.formatChoiceSelected(option))
+  await startDownload(ctx, choice.url, {
+    format: choice.format,
+    formatId: option?.id,
+    trackId: choice.info?.id
+  })
+}
+
+function pruneFormatChoices() {
+  const cutoff = Date.now() - FORMAT_CHOICE_TTL_MS
+  formatChoices.forEach((choice, id) => {
+    if (choice.createdAt < cutoff) formatChoices.delete(id)
+  })
+}
+
+async function startDownload(ctx, url, opts) {
+  if (await sendCachedDownload(ctx, opts)) return
+  const reservation = reserveDownloadQuota(ctx.from.id)
+  if (reservation.blocked) {
+    await ctx.reply(messages.quotaExceeded(reservation.blocked))
     return
   }
-
-  await ctx.reply(messages.downloadPrep())
+  const job = createJob(ctx.from.id, url)
+  const status = await createStatusMessage(ctx, messages.downloadPrep(), {
+    replyMarkup: cancelKeyboard(job.id)
+  })
 
   try {
-    await downloadQueue.add(() => handleDownloadJob(ctx, url))
-  } catch (error) {
+    await downloadQueue.add(
+      () => {
+        startJob(job, JOB_TIMEOUT_MS)
+        return handleDownloadJob(ctx, url, {
+          ...opts,
+          status,
+          signal: job.signal,
+          queueWaitMs: queueWaitMs(job),
+          reservation
+        })
+      },
+      {
+        userId: job.userId,
+        priority: queuePriority(job.userId),
+        onPosition: position => status.update(messages.statusQueued(position)),
+        signal: job.signal
+      }
+    )
+  } catch (caught) {
+    const error = resolveJobError(job, caught)
     console.error('Download failed:', error)
+    releaseDownloadQuota(job.userId, reservation)
+    logDownloadFailure(job.userId, url, error)
     if (shouldNotifyAdmin(error)) {
       notifyAdmins(messages.adminErrorNotice(describeError(error))).catch(() => {})
     }
     await ctx.reply(formatUserFacingError(error))
+  } finally {
+    finishJob(job)
+    await status.close()
   }
-})
+}
 
-bot.catch(err => {
-  console.error('Bot error:', err)
-  notifyAdmins(messages.adminErrorNotice(describeError(err))).catch(() => {})
-})
+/**
+ * Count a download against the user's quota. Returns { blocked, stamp }:
+ * `blocked` is the exhausted quota window when the user is over a limit
+ * (nothing is recorded then), `stamp` identifies the recorded slot for
+ * releaseDownloadQuota. Admins are never limited; cached resends never get
+ * here.
+ */
+function reserveDownloadQuota(userId) {
+  if (isAdmin(userId)) return { blocked: null, stamp: null }
+  const { blocked } = getQuotaStatus(userId)
+  if (blocked) return { blocked, stamp: null }
+  return { blocked: null, stamp: recordDownload(userId) }
+}
 
-bot.on('callback_query:data', async ctx => {
-  const data = ctx.callbackQuery.data || ''
-  if (!data.startsWith('pl:')) return
-  const [, action, sessionId] = data.split(':')
-  const session = playlistSessions.get(sessionId)
-  if (!session) {
+/**
+ * Hand a reserved slot back when the track was not delivered (failed,
+ * cancelled, timed out, rejected by the queue or skipped).
+ */
+function releaseDownloadQuota(userId, reservation) {
+  if (reservation.stamp) releaseDownload(userId, reservation.stamp)
+}
+
+/**
+ * Admin jobs jump the queue; playlist tracks (`bulk`) yield to single links.
+ */
+function queuePriority(userId, bulk = false) {
+  if (isAdmin(userId)) return QUEUE_PRIORITIES.high
+  return bulk ? QUEUE_PRIORITIES.low : QUEUE_PRIORITIES.normal
+}
+
+function cancelKeyboard(jobId) {
+  return { inline_keyboard: [[{ text: messages.cancelButton(), callback_data: `cancel:${jobId}` }]] }
+}
+
+async function handleCancelButton(ctx, data) {
+  const [, jobId] = data.split(':')
+  const job = getJob(jobId)
+  if (!job) {
     await ctx.answerCallbackQuery({ text: 'Session expirée', show_alert: false })
     return
   }
-  if (ctx.from?.id !== session.userId) {
-    await ctx.answerCallbackQuery({ text: "Ce n'est pas ta playlist ;)", show_alert: true })
+  if (ctx.from?.id !== job.userId) {
+    await ctx.answerCallbackQuery({ text: "Ce n'est pas ton download ;)", show_alert: true })
     return
   }
+  cancelJob(jobId)
+  await ctx.answerCallbackQuery({ text: messages.jobCancelledToast() })
+}
 
-  if (action === 'stop') {
-    playlistSessions.delete(sessionId)
-    await ctx.answerCallbackQuery({ text: 'Arrêté' })
-    await ctx.editMessageText(messages.playlistStopped())
+async function handlePlaylistRequest(ctx, url, format) {
+  let entries
+  try {
+    entries = await fetchPlaylistTracks(url, PLAYLIST_MAX_ITEMS)
+  } catch (error) {
+    await ctx.reply(formatUserFacingError(error))
     return
   }
-
-  if (action === 'cont') {
-    session.awaitingPrompt = false
-    playlistSessions.set(sessionId, session)
-    await ctx.answerCallbackQuery({ text: 'On continue' })
-    enqueueNextTrack(ctx, sessionId, true)
-  }
-})
-
-initializeBot().catch(error => {
-  console.error('Failed to start bot:', error)
-  process.exit(1)
-})
-
-async function handlePlaylistRequest(ctx, url) {
-  const entries = await fetchPlaylistTracks(url, PLAYLIST_MAX_ITEMS)
   if (!entries.length) {
     await ctx.reply(messages.playlistNoEntries())
     return
@@ -278,6 +1331,7 @@ async function handlePlaylistRequest(ctx, url) {
     id: sessionId,
     userId: ctx.from.id,
     tracks: entries,
+    format,
     nextIndex: 0,
     promptMessageId: null,
     awaitingPrompt: false,
@@ -322,30 +1376,55 @@ async function enqueueNextTrack(ctx, sessionId, force = false) {
     return
   }
 
+  const reservation = reserveDownloadQuota(session.userId)
+  if (reservation.blocked) {
+    await ctx.reply(messages.quotaExceeded(reservation.blocked))
+    playlistSessions.delete(sessionId)
+    return
+  }
+
   const trackUrl = session.tracks[session.nextIndex]
   session.nextIndex += 1
   playlistSessions.set(sessionId, session)
 
+  const job = createJob(session.userId, trackUrl)
   try {
-    await downloadQueue.add(async () => {
-      const result = await handleDownloadJob(ctx, trackUrl, { skipSend: true })
-      if (!result) return
-      session.buffer.push({
-        download: result.download,
-        qualityInfo: result.qualityInfo,
-        size: result.size
-      })
-      await sendPlaylistGroup(ctx, sessionId)
-    })
+    await downloadQueue.add(
+      async () => {
+        startJob(job, JOB_TIMEOUT_MS)
+        const result = await handleDownloadJob(ctx, trackUrl, {
+          skipSend: true,
+          format: session.format,
+          signal: job.signal,
+          queueWaitMs: queueWaitMs(job)
+        })
+        if (!result) {
+          releaseDownloadQuota(job.userId, reservation)
+          return
+        }
+        session.buffer.push({
+          download: result.download,
+          qualityInfo: result.qualityInfo,
+          size: result.size
+        })
+        await sendPlaylistGroup(ctx, sessionId)
+      },
+      { userId: job.userId, priority: queuePriority(job.userId, true), signal: job.signal }
+    )
+    finishJob(job)
     await enqueueNextTrack(ctx, sessionId)
-  } catch (error) {
+  } catch (caught) {
+    finishJob(job)
+    const error = resolveJobError(job, caught)
     console.error('Playlist track failed:', error)
+    releaseDownloadQuota(job.userId, reservation)
+    logDownloadFailure(job.userId, trackUrl, error, { playlist: true })
     if (shouldNotifyAdmin(error)) {
       notifyAdmins(messages.adminErrorNotice(describeError(error))).catch(() => {})
     }
     await ctx.reply(formatUserFacingError(error))
-    // if queue full, stop playlist
-    if (error?.code === 'QUEUE_FULL') {
+    // if queue full or cancelled, stop playlist
+    if (error?.code === 'QUEUE_FULL' || error?.code === 'CANCELLED') {
       playlistSessions.delete(sessionId)
       return
     }
@@ -364,13 +1443,21 @@ async function sendPlaylistGroup(ctx, sessionId) {
       fs.createReadStream(item.download.path),
       item.download.filename
     )
-    const caption = buildCaption(item.download.metadata, item.qualityInfo)
-    await ctx.replyWithDocument(inputFile, { caption })
-
-    if (item.qualityInfo?.warning) {
-      await ctx.reply(item.qualityInfo.warning)
-    }
-    incrementDownloadCount()
+    const caption = buildCaption(
+      item.download.metadata,
+      item.qualityInfo,
+      item.download.transcode
+    )
+    const sent = await ctx.replyWithDocument(inputFile, { caption })
+    await sendQualityExtras(ctx, item.qualityInfo)
+    recordDelivery(ctx, {
+      metadata: item.download.metadata,
+      qualityInfo: item.qualityInfo,
+      transcode: item.download.transcode,
+      fileId: sent?.document?.file_id,
+      source: 'playlist',
+      timings: item.download.timings
+    })
     await cleanupTempDir(item.download.tempDir)
   }
 
@@ -379,30 +1466,32 @@ async function sendPlaylistGroup(ctx, sessionId) {
 }
 
 async function handlePasswordFlow(ctx, userId) {
-  if (isAuthCapacityReached()) {
-    awaitingPassword.delete(userId)
-    await ctx.reply(messages.authLimitReached())
+  const text = (ctx.message.text || '').trim()
+  // Invite codes work in any mode and do not count against the password
+  // capacity; a code-shaped text that is not an invite may still be a password.
+  if (looksLikeInviteCode(text) && (await redeemInviteCode(ctx, userId, text))) {
     return
   }
 
-  const expectedPassword = passwordForNextUser()
+  const expectedPassword = isAuthCapacityReached() ? null : passwordForNextUser()
   if (!expectedPassword) {
-    awaitingPassword.delete(userId)
-    await ctx.reply(messages.authLimitReached())
+    await joinWaitlist(ctx, userId)
     return
   }
 
-  const text = (ctx.message.text || '').trim()
-
   if (awaitingPassword.has(userId)) {
     if (!text) {
       await promptForPassword(ctx, userId)
       return
     }
 
+    // The attempted text itself is never logged.
+    logEvent('password_attempt', userId, { success: text === expectedPassword })
     if (text === expectedPassword) {
       awaitingPassword.delete(userId)
-      addAuthorizedUser(userId)
+      addAuthorizedUser(userId, ctx.from, { expiresAt: accessExpiryFor(userId), password: true })
+      removeFromWaitlist(userId)
+      logEvent('authorized', userId, { via: 'password', username: ctx.from?.username || null })
       await ctx.reply(messages.passwordAccepted())
     } else {
       await ctx.reply(messages.passwordRejected())
@@ -414,10 +1503,44 @@ async function handlePasswordFlow(ctx, userId) {
   await promptForPassword(ctx, userId)
 }
 
+/**
+ * Try to unlock `userId` with an invite code. Returns false when the code is
+ * unknown so the caller can fall back; expired or used-up codes are answered
+ * here and count as handled.
+ */
+async function redeemInviteCode(ctx, userId, code) {
+  let invite
+  try {
+    invite = redeemInvite(code, userId)
+  } catch (error) {
+    if (error.code === 'INVITE_NOT_FOUND') return false
+    logEvent('invite_rejected', userId, { code: code.trim().toUpperCase(), reason: error.code })
+    await ctx.reply(formatUserFacingError(error))
+    return true
+  }
+
+  awaitingPassword.delete(userId)
+  addAuthorizedUser(userId, ctx.from, {
+    invitedBy: invite.createdBy,
+    inviteCode: invite.code,
+    expiresAt: accessExpiryFor(userId, invite.accessMs || ACCESS_DURATION_MS)
+  })
+  removeFromWaitlist(userId)
+  clearWaitlistDenial(userId)
+  console.log(`User ${userId} joined with invite ${invite.code} from ${invite.createdBy}`)
+  logEvent('authorized', userId, {
+    via: 'invite',
+    inviteCode: invite.code,
+    by: invite.createdBy,
+    username: ctx.from?.username || null
+  })
+  await ctx.reply(messages.inviteAccepted())
+  return true
+}
+
 async function promptForPassword(ctx, userId) {
   if (isAuthCapacityReached()) {
-    awaitingPassword.delete(userId)
-    await ctx.reply(messages.authLimitReached())
+    await joinWaitlist(ctx, userId)
     return
   }
 
@@ -425,23 +1548,203 @@ async function promptForPassword(ctx, userId) {
   await ctx.reply(messages.promptPassword())
 }
 
+/**
+ * No password slot is left (or the bot is invite-only): queue the user on
+ * the waitlist and ping the admins with Approve/Deny buttons the first time.
+ */
+async function joinWaitlist(ctx, userId) {
+  awaitingPassword.delete(userId)
+  if (isWaitlistDenied(userId)) {
+    await ctx.reply(messages.waitlistDenied())
+    return
+  }
+
+  const { entry, position, added } = addToWaitlist(ctx.from)
+  if (!added) {
+    await ctx.reply(messages.waitlistAlready(position))
+    return
+  }
+  logEvent('waitlist_joined', userId, { username: entry.username, position })
+  await ctx.reply(messages.waitlistJoined(position))
+  await notifyAdmins(messages.waitlistAdminAlert(entry, position), {
+    reply_markup: waitlistKeyboard(userId)
+  })
+}
+
+/**
+ * Text and inline keyboard for one page of a user's /history: a re-send
+ * button per delivery and previous/next buttons.
+ */
+function historyView(userId, page) {
+  const result = getHistoryPage(userId, page, HISTORY_PAGE_SIZE)
+  if (!result.total) return { text: messages.historyEmpty() }
+
+  const offset = result.page * HISTORY_PAGE_SIZE
+  const resendRow = result.entries.map((entry, index) => ({
+    text: messages.historyResendButton(offset + index + 1),
+    callback_data: `hist:send:${entry.id}`
+  }))
+  const navRow = []
+  if (result.page > 0) {
+    const previous = result.page - 1
+    navRow.push({ text: messages.historyPrevButton(), callback_data: `hist:page:${previous}` })
+  }
+  if (result.page < result.pageCount - 1) {
+    const next = result.page + 1
+    navRow.push({ text: messages.historyNextButton(), callback_data: `hist:page:${next}` })
+  }
+  return {
+    text: messages.historyPage(result.entries, offset, result.page, result.pageCount),
+    keyboard: { inline_keyboard: [resendRow, navRow].filter(row => row.length) }
+  }
+}
+
+async function handleHistoryChoice(ctx, data) {
+  const [, action, value] = data.split(':')
+  const userId = ctx.from?.id
+  if (!isAuthorized(userId)) {
+    await ctx.answerCallbackQuery({ text: messages.historyLocked(), show_alert: true })
+    return
+  }
+
+  if (action === 'page') {
+    const view = historyView(userId, Number(value))
+    await ctx.answerCallbackQuery()
+    await ctx.editMessageText(view.text, { reply_markup: view.keyboard }).catch(() => {})
+    return
+  }
+
+  const entry = action === 'send' ? getHistoryEntry(userId, Number(value)) : null
+  if (!entry) {
+    await ctx.answerCallbackQuery({ text: messages.historyEntryGone() })
+    return
+  }
+  await ctx.answerCallbackQuery({ text: messages.historyResending() })
+  if (entry.fileId) {
+    try {
+      await ctx.replyWithDocument(entry.fileId, { caption: entry.caption || undefined })
+      return
+    } catch (error) {
+      console.warn('History file_id rejected, downloading again:', error?.message || error)
+      clearHistoryFileId(userId, entry.id)
+    }
+  }
+  if (!entry.url) {
+    await ctx.reply(messages.historyEntryGone())
+    return
+  }
+  await startDownload(ctx, entry.url, { format: entry.format || 'original', trackId: entry.trackId })
+}
+
+function waitlistKeyboard(userId) {
+  return {
+    inline_keyboard: [
+      [
+        { text: messages.waitlistApproveButton(), callback_data: `wl:approve:${userId}` },
+        { text: messages.waitlistDenyButton(), callback_data: `wl:deny:${userId}` }
+      ]
+    ]
+  }
+}
+
+async function handleWaitlistChoice(ctx, data) {
+  const [, action, rawUserId] = data.split(':')
+  if (!isAdmin(ctx.from?.id)) {
+    await ctx.answerCallbackQuery({ text: messages.notAdmin(), show_alert: true })
+    return
+  }
+
+  const targetId = Number(rawUserId)
+  const adminId = ctx.from.id
+  const entry =
+    action === 'approve'
+      ? approveWaitlistUser(targetId, adminId)
+      : denyWaitlistUser(targetId, adminId)
+  if (!entry) {
+    await ctx.answerCallbackQuery({ text: messages.waitlistHandledToast() })
+    await ctx.editMessageReplyMarkup({ reply_markup: { inline_keyboard: [] } }).catch(() => {})
+    return
+  }
+  await ctx.answerCallbackQuery()
+  await ctx
+    .editMessageText(messages.waitlistDecision(entry, action === 'approve', ctx.from.id))
+    .catch(() => {})
+}
+
+/**
+ * Authorize a waiting (or previously denied) user and tell them. Admin
+ * approval bypasses the password capacity. Returns the waitlist entry, or
+ * null when there was nothing to approve.
+ */
+function approveWaitlistUser(userId, adminId) {
+  const entry = removeFromWaitlist(userId) || (isWaitlistDenied(userId) ? { id: userId } : null)
+  if (!entry || isAuthorized(userId)) return null
+  clearWaitlistDenial(userId)
+  addAuthorizedUser(
+    userId,
+    { username: entry.username, first_name: entry.firstName },
+    { expiresAt: accessExpiryFor(userId) }
+  )
+  logEvent('authorized', userId, { via: 'waitlist', by: adminId })
+  bot.api
+    .sendMessage(userId, messages.waitlistApproved())
+    .catch(error => console.warn('Failed to notify approved user', userId, error?.message || error))
+  return entry
+}
+
+function denyWaitlistUser(userId, adminId) {
+  const entry = denyWaitlistEntry(userId)
+  if (!entry) return null
+  logEvent('waitlist_denied', userId, { by: adminId })
+  bot.api
+    .sendMessage(userId, messages.waitlistDenied())
+    .catch(error => console.warn('Failed to notify denied user', userId, error?.message || error))
+  return entry
+}
+
 async function handleDownloadJob(ctx, url, opts = {}) {
   const skipSend = opts.skipSend === true
+  const status = opts.status || null
+  const signal = opts.signal
   let download
+  let keepTempDir = false
+  // Output format the sent file is in; null means the original download.
+  let deliveredFormat = null
+  // Stage durations, recorded with the delivery for /stats.
+  const timings = { queueWaitMs: opts.queueWaitMs ?? null }
+  observeStage('queue_wait', timings.queueWaitMs)
   try {
-    download = await downloadTrack(url)
+    status?.update(messages.statusDownloading(null))
+    let stageStart = Date.now()
+    download = await downloadTrack(url, {
+      formatId: opts.formatId,
+      onProgress: status ? fraction => status.update(messages.statusDownloading(fraction)) : null,
+      signal
+    })
+    timings.downloadMs = Date.now() - stageStart
+    observeStage('download', timings.downloadMs)
+    download.timings = timings
     const stats = await fsp.stat(download.path)
-    if (stats.size > TELEGRAM_MAX_FILE_BYTES) {
-      if (!skipSend) {
-        await ctx.reply(messages.fileTooLarge())
-      }
+    // Playlists have no way to offer the oversize fallbacks; skip the track.
+    if (skipSend && stats.size > TELEGRAM_MAX_FILE_BYTES) {
+      await cleanupTempDir(download.tempDir)
       return
     }
+    let size = stats.size
 
     let qualityInfo = null
     if (ENABLE_QUALITY_ANALYSIS) {
+      status?.update(messages.statusAnalyzing())
+      const { spectrogram } = getUserSettings(ctx.from?.id)
+      const spectrogramPath = spectrogram
+        ? path.join(download.tempDir, 'spectrogram.png')
+        : null
+      stageStart = Date.now()
       try {
-        qualityInfo = await analyzeTrackQuality(download.path, download.metadata)
+        qualityInfo = await analyzeTrackQuality(download.path, download.metadata, {
+          spectrogramPath,
+          signal
+        })
         if (qualityInfo) {
           qualityDebug('Bitrate analysis finished:', qualityInfo)
         } else {
@@ -451,29 +1754,398 @@ async function handleDownloadJob(ctx, url, opts = {}) {
         console.warn('Bitrate analysis failed:', error)
         qualityDebug('Bitrate analysis threw error:', error)
       }
+      timings.analysisMs = Date.now() - stageStart
+      observeStage('analysis', timings.analysisMs)
+      incrementCounter('keson_quality_verdicts_total', { verdict: qualityInfo?.verdict || 'none' })
     } else if (QUALITY_ANALYSIS_DEBUG) {
       qualityDebug('Quality analysis disabled via ENABLE_QUALITY_ANALYSIS=false; skipping probe.')
     }
 
+    // Analysis swallows its own failures, so check here whether it was killed.
+    signal?.throwIfAborted()
+
+    if (isOutputFormat(opts.format)) {
+      status?.update(messages.statusConverting(outputFormatLabel(opts.format)))
+      stageStart = Date.now()
+      if (await convertDownload(ctx, download, opts.format, skipSend, signal)) {
+        deliveredFormat = opts.format
+      }
+      timings.convertMs = Date.now() - stageStart
+      observeStage('convert', timings.convertMs)
+      size = (await fsp.stat(download.path)).size
+    }
+
+    const tags = {
+      ...tempoKeyTags(qualityInfo),
+      ...(WRITE_REPLAYGAIN_TAGS ? replayGainTags(qualityInfo?.loudness) : {})
+    }
+    try {
+      await writeMetadataTags(download.path, tags, { signal })
+    } catch (error) {
+      console.warn('Unable to write analysis tags:', error?.message || error)
+    }
+    signal?.throwIfAborted()
+
+    if (size > TELEGRAM_MAX_FILE_BYTES) {
+      if (skipSend) {
+        await cleanupTempDir(download.tempDir)
+        return
+      }
+      keepTempDir = await offerOversizeChoice(ctx, download, qualityInfo, size, opts.reservation)
+      return
+    }
+
     if (skipSend) {
-      return { download, qualityInfo, size: stats.size }
+      return { download, qualityInfo, size }
     }
 
+    status?.update(messages.statusUploading())
+    stageStart = Date.now()
     const inputFile = new InputFile(fs.createReadStream(download.path), download.filename)
-    await ctx.replyWithDocument(inputFile, {
-      caption: buildCaption(download.metadata, qualityInfo)
+    const sent = await ctx.replyWithDocument(
+      inputFile,
+      { caption: buildCaption(download.metadata, qualityInfo, download.transcode) },
+      signal
+    )
+    observeStage('upload', Date.now() - stageStart)
+    const spectrogramFileId = await sendQualityExtras(ctx, qualityInfo)
+    recordDelivery(ctx, {
+      metadata: download.metadata,
+      qualityInfo,
+      transcode: download.transcode,
+      fileId: sent?.document?.file_id,
+      url,
+      source: 'single',
+      timings: download.timings
     })
-    if (qualityInfo?.warning) {
-      await ctx.reply(qualityInfo.warning)
+
+    const trackId = opts.trackId || download.metadata?.id
+    // Key on the format actually sent: when the conversion failed the user
+    // got the original, which must not answer later requests for the format.
+    const cacheKey = downloadCacheKey(trackId, {
+      formatId: opts.formatId,
+      format: deliveredFormat
+    })
+    storeCachedDownload(cacheKey, {
+      trackId,
+      fileId: sent?.document?.file_id,
+      spectrogramFileId,
+      metadata: download.metadata,
+      qualityInfo,
+      transcode: download.transcode
+    })
+  } catch (error) {
+    // Playlist downloads normally hand their temp dir to sendPlaylistGroup.
+    if (download && skipSend) {
+      await cleanupTempDir(download.tempDir)
     }
-    incrementDownloadCount()
+    throw error
   } finally {
-    if (download && !skipSend) {
+    if (download && !skipSend && !keepTempDir) {
       await cleanupTempDir(download.tempDir)
     }
   }
 }
 
+/**
+ * Ask what to do with a track over the upload limit: re-encode it to an MP3
+ * that fits, or send it as numbered parts. The temp dir stays around until
+ * the user picks or the choice expires; returns true when it must be kept.
+ * The quota `reservation` is handed back if the track never goes out.
+ */
+async function offerOversizeChoice(ctx, download, qualityInfo, size, reservation = {}) {
+  pruneOversizeChoices()
+  const bitrateKbps = pickFitBitrate(Number(download.metadata?.duration), TELEGRAM_MAX_FILE_BYTES)
+  const parts = planFileParts(download.filename, size, TELEGRAM_MAX_FILE_BYTES)
+  const choiceId = `${ctx.from.id}-${Date.now()}`
+  oversizeChoices.set(choiceId, {
+    userId: ctx.from.id,
+    download,
+    qualityInfo,
+    size,
+    bitrateKbps,
+    reservation,
+    createdAt: Date.now()
+  })
+
+  const keyboard = []
+  if (bitrateKbps) {
+    keyboard.push([
+      { text: messages.oversizeEncodeButton(bitrateKbps), callback_data: `big:${choiceId}:encode` }
+    ])
+  }
+  keyboard.push([
+    { text: messages.oversizeSplitButton(parts.length), callback_data: `big:${choiceId}:split` }
+  ])
+  keyboard.push([{ text: messages.oversizeCancelButton(), callback_data: `big:${choiceId}:cancel` }])
+  await ctx.reply(messages.oversizeChoicePrompt(size, TELEGRAM_MAX_FILE_BYTES), {
+    reply_markup: { inline_keyboard: keyboard }
+  })
+  // Nobody may ever answer; make sure the temp dir still goes away.
+  setTimeout(pruneOversizeChoices, FORMAT_CHOICE_TTL_MS + 1000).unref()
+  return true
+}
+
+async function handleOversizeChoice(ctx, data) {
+  const [, choiceId, action] = data.split(':')
+  const choice = oversizeChoices.get(choiceId)
+  if (!choice) {
+    await ctx.answerCallbackQuery({ text: 'Session expirée', show_alert: false })
+    return
+  }
+  if (ctx.from?.id !== choice.userId) {
+    await ctx.answerCallbackQuery({ text: "Ce n'est pas ton son ;)", show_alert: true })
+    return
+  }
+
+  oversizeChoices.delete(choiceId)
+  await ctx.answerCallbackQuery()
+  const { download } = choice
+  const job = createJob(choice.userId, download.filename)
+  try {
+    if (action === 'encode' && choice.bitrateKbps) {
+      await ctx.editMessageText(messages.oversizeEncoding(choice.bitrateKbps), {
+        reply_markup: cancelKeyboard(job.id)
+      })
+      await downloadQueue.add(
+        () => {
+          startJob(job, JOB_TIMEOUT_MS)
+          return sendFittedDownload(ctx, choice, job.signal)
+        },
+        { userId: job.userId, priority: queuePriority(job.userId), signal: job.signal }
+      )
+    } else if (action === 'split') {
+      const parts = planFileParts(download.filename, choice.size, TELEGRAM_MAX_FILE_BYTES)
+      await ctx.editMessageText(messages.oversizeSplitting(parts.length))
+      await sendSplitDownload(ctx, choice, parts)
+    } else {
+      releaseDownloadQuota(choice.userId, choice.reservation)
+      await ctx.editMessageText(messages.oversizeCancelled())
+    }
+  } catch (caught) {
+    const error = resolveJobError(job, caught)
+    console.error('Oversize delivery failed:', error)
+    releaseDownloadQuota(choice.userId, choice.reservation)
+    logDownloadFailure(job.userId, download.metadata?.webpage_url || null, error, {
+      oversize: action
+    })
+    if (shouldNotifyAdmin(error)) {
+      notifyAdmins(messages.adminErrorNotice(describeError(error))).catch(() => {})
+    }
+    await ctx.reply(formatUserFacingError(error))
+  } finally {
+    finishJob(job)
+    await cleanupTempDir(download.tempDir)
+  }
+}
+
+async function sendFittedDownload(ctx, choice, signal) {
+  const { download, qualityInfo, bitrateKbps } = choice
+  let fitted
+  try {
+    fitted = await transcodeToFit(download.path, bitrateKbps, { signal })
+  } catch (error) {
+    signal.throwIfAborted()
+    console.warn('Oversize re-encode failed:', error?.message || error)
+  }
+  const size = fitted ? (await fsp.stat(fitted.path)).size : Infinity
+  if (size > TELEGRAM_MAX_FILE_BYTES) {
+    releaseDownloadQuota(choice.userId, choice.reservation)
+    await ctx.reply(messages.oversizeEncodeFailed())
+    return
+  }
+
+  const transcode = {
+    format: 'mp3',
+    label: `MP3 ${bitrateKbps}`,
+    lossySource: isLossyDelivery(download.metadata)
+  }
+  const sent = await ctx.replyWithDocument(
+    new InputFile(fs.createReadStream(fitted.path), fitted.filename),
+    { caption: buildCaption(download.metadata, qualityInfo, transcode) },
+    signal
+  )
+  await sendQualityExtras(ctx, qualityInfo)
+  recordDelivery(ctx, {
+    metadata: download.metadata,
+    qualityInfo,
+    transcode,
+    fileId: sent?.document?.file_id,
+    source: 'fitted',
+    timings: download.timings
+  })
+}
+
+async function sendSplitDownload(ctx, choice, parts) {
+  const { download, qualityInfo } = choice
+  const trackCaption = buildCaption(download.metadata, qualityInfo, download.transcode)
+  for (const part of parts) {
+    const partCaption = messages.splitPartCaption(part.index, part.count)
+    const caption = part.index === 1 ? `${trackCaption}\n${partCaption}` : partCaption
+    await ctx.replyWithDocument(
+      new InputFile(createPartStream(download.path, part), part.filename),
+      { caption }
+    )
+  }
+  await ctx.reply(messages.splitJoinHint(download.filename, parts.length))
+  await sendQualityExtras(ctx, qualityInfo)
+  // Parts have no single file_id; a re-send from /history downloads again.
+  recordDelivery(ctx, {
+    metadata: download.metadata,
+    qualityInfo,
+    transcode: download.transcode,
+    source: 'split',
+    timings: download.timings
+  })
+}
+
+function pruneOversizeChoices() {
+  const cutoff = Date.now() - FORMAT_CHOICE_TTL_MS
+  oversizeChoices.forEach((choice, id) => {
+    if (choice.createdAt >= cutoff) return
+    oversizeChoices.delete(id)
+    releaseDownloadQuota(choice.userId, choice.reservation)
+    cleanupTempDir(choice.download.tempDir).catch(() => {})
+  })
+}
+
+/**
+ * Convert `download` in place to `format`. Resolves to true when the file is
+ * now in that format (converted, or already in that container), false when
+ * the conversion failed and the original is sent instead.
+ */
+async function convertDownload(ctx, download, format, skipSend, signal) {
+  const label = outputFormatLabel(format)
+  try {
+    const converted = await transcodeAudio(download.path, format, { signal })
+    if (!converted) {
+      // Same container already (e.g. an MP3 when "MP3 320" was picked):
+      // re-encoding a lossy file cannot restore what it lost, so say it is
+      // sent as it is rather than pass it off as converted.
+      if (!skipSend) {
+        const ext = path.extname(download.path).slice(1).toUpperCase()
+        await ctx.reply(messages.transcodeSkipped(label, ext))
+      }
+      return true
+    }
+    download.path = converted.path
+    download.filename = converted.filename
+    download.transcode = { format, label, lossySource: isLossyDelivery(download.metadata) }
+    return true
+  } catch (error) {
+    signal?.throwIfAborted()
+    console.warn(`Transcode to ${format} failed:`, error?.message || error)
+    if (!skipSend) {
+      await ctx.reply(messages.transcodeFailed(label))
+    }
+    return false
+  }
+}
+
+/**
+ * Send the spectrogram and the quality warning after a track. Returns the
+ * file_id of the spectrogram photo so it can be cached, or null.
+ */
+async function sendQualityExtras(ctx, qualityInfo, spectrogramFileId = null) {
+  let photoId = null
+  const photo = spectrogramFileId || qualityInfo?.spectrogram_path
+  if (photo) {
+    try {
+      const sent = await ctx.replyWithPhoto(
+        spectrogramFileId ? photo : new InputFile(photo),
+        { caption: messages.spectrogramCaption(qualityInfo?.cutoff_hz) }
+      )
+      photoId = sent?.photo?.[sent.photo.length - 1]?.file_id || null
+    } catch (error) {
+      console.warn('Unable to send spectrogram:', error?.message || error)
+    }
+  }
+  if (qualityInfo?.warning) {
+    await ctx.reply(qualityInfo.warning)
+  }
+  return photoId
+}
+
+function logDownloadFailure(userId, url, error, extra = {}) {
+  logEvent('download_failed', userId, {
+    url,
+    code: error?.code || 'UNKNOWN',
+    message: error?.message || String(error),
+    ...extra
+  })
+}
+
+/**
+ * Count a delivered track, add it to the user's /history and the audit log.
+ * `source` says how it was delivered: single, playlist, cache, fitted or
+ * split; `timings` holds the stage durations measured by handleDownloadJob.
+ */
+function recordDelivery(ctx, delivery) {
+  const { metadata, qualityInfo, transcode, fileId, url, source, timings } = delivery
+  const userId = ctx.from?.id
+  incrementDownloadCount(userId)
+  logEvent('download', userId, {
+    source,
+    trackId: metadata?.id ? String(metadata.id) : null,
+    artist: metadata?.artist || metadata?.uploader || null,
+    title: metadata?.title || metadata?.fulltitle || null,
+    url: metadata?.webpage_url || url || null,
+    format: transcode?.format || 'original',
+    verdict: qualityInfo?.verdict || null,
+    lowBitrate: Boolean(qualityInfo?.warning),
+    ...timings
+  })
+  if (!userId) return
+  addHistoryEntry(userId, {
+    trackId: metadata?.id,
+    title: metadata?.title || metadata?.fulltitle,
+    artist: metadata?.artist || metadata?.uploader,
+    url: metadata?.webpage_url || url,
+    format: transcode?.format,
+    verdict: qualityInfo?.verdict,
+    verdictLabel: qualityInfo?.verdict_label,
+    fileId,
+    caption: buildCaption(metadata, qualityInfo, transcode)
+  })
+}
+
+/**
+ * Answer a repeat request straight from the download cache by resending the
+ * stored Telegram file_ids. Returns false on a miss so the caller downloads.
+ */
+async function sendCachedDownload(ctx, opts) {
+  const key = downloadCacheKey(opts.trackId, opts)
+  const entry = getCachedDownload(key)
+  if (!entry) return false
+
+  const wantsSpectrogram = ENABLE_QUALITY_ANALYSIS && getUserSettings(ctx.from?.id).spectrogram
+  // Entries cached for someone with /spectro off have no photo to resend.
+  if (wantsSpectrogram && entry.qualityInfo && !entry.spectrogramFileId) return false
+
+  try {
+    await ctx.replyWithDocument(entry.fileId, {
+      caption: buildCaption(entry.metadata, entry.qualityInfo, entry.transcode)
+    })
+  } catch (error) {
+    console.warn('Cached file_id rejected, downloading again:', error?.message || error)
+    removeCachedDownload(key)
+    return false
+  }
+  await sendQualityExtras(
+    ctx,
+    entry.qualityInfo,
+    wantsSpectrogram ? entry.spectrogramFileId : null
+  )
+  recordDelivery(ctx, {
+    metadata: entry.metadata,
+    qualityInfo: entry.qualityInfo,
+    transcode: entry.transcode,
+    fileId: entry.fileId,
+    source: 'cache'
+  })
+  return true
+}
+
 function setupSignalHandlers() {
   SHUTDOWN_SIGNALS.forEach(signal => {
     process.once(signal, () => {
@@ -492,12 +2164,28 @@ function setupSignalHandlers() {
   })
 
   process.on('beforeExit', () => {
-    flushState().catch(error => {
+    flushAllStores().catch(error => {
       console.error('Failed to flush state before exit:', error)
     })
   })
 }
 
+/**
+ * Write out every store's pending changes, including the audit log.
+ */
+async function flushAllStores() {
+  await Promise.all([
+    flushState(),
+    flushUserSettings(),
+    flushTokenPool(),
+    flushDownloadCache(),
+    flushInvites(),
+    flushWaitlist(),
+    flushHistory(),
+    flushAuditLog()
+  ])
+}
+
 function setupErrorHandlers() {
   const forward = (label, error) => {
     console.error(`${label}:`, error)
@@ -508,21 +2196,103 @@ function setupErrorHandlers() {
   process.on('uncaughtException', error => forward('Uncaught exception', error))
 }
 
+/**
+ * Queue gauges are read at scrape time; failed Telegram API calls are counted
+ * by a transformer, whichever code path made them.
+ */
+function setupMetrics() {
+  const queues = { download: downloadQueue, info: infoQueue }
+  const queueGauge = field => () =>
+    Object.entries(queues).map(([queue, taskQueue]) => ({
+      labels: { queue },
+      value: taskQueue.stats()[field]
+    }))
+  registerGauge('keson_queue_pending', queueGauge('pending'))
+  registerGauge('keson_queue_active', queueGauge('active'))
+  registerGauge('keson_queue_workers', queueGauge('concurrency'))
+
+  bot.api.config.use(async (prev, method, payload, signal) => {
+    try {
+      const result = await prev(method, payload, signal)
+      if (!result.ok) {
+        incrementCounter('keson_telegram_api_errors_total', {
+          method,
+          code: String(result.error_code)
+        })
+      }
+      return result
+    } catch (error) {
+      incrementCounter('keson_telegram_api_errors_total', { method, code: 'network' })
+      throw error
+    }
+  })
+}
+
+function observeStage(stage, ms) {
+  if (ms === null || ms === undefined) return
+  observeHistogram('keson_job_stage_duration_seconds', { stage }, ms / 1000)
+}
+
+/**
+ * Serve /metrics, /healthz and /readyz when HTTP_PORT is set. Healthy means
+ * grammY is still polling; ready also needs yt-dlp, ffmpeg and ffprobe to run
+ * and Telegram to answer getMe.
+ */
+async function startMonitoringServer() {
+  if (!HTTP_PORT) return
+  httpServer = await startHttpServer({
+    port: HTTP_PORT,
+    host: HTTP_HOST,
+    isAlive: () => bot.isRunning(),
+    readinessChecks: {
+      polling: async () => {
+        if (!bot.isRunning()) throw new Error('polling stopped')
+      },
+      ytdlp: signal => checkYtDlpBinary(signal),
+      ffmpeg: signal => spawnCollect(FFMPEG_PATH, ['-version'], { signal }),
+      ffprobe: signal => spawnCollect(FFPROBE_PATH, ['-version'], { signal }),
+      telegram: signal => bot.api.getMe(signal)
+    }
+  })
+  console.log(`Metrics and health checks on http://${HTTP_HOST}:${HTTP_PORT}`)
+}
+
 async function shutdownGracefully(signal) {
+  stopTokenHealthChecks()
+  httpServer?.close()
+  clearInterval(accessExpiryTimer)
+  clearTimeout(dailyDigestTimer)
   try {
     await bot.stop()
   } catch (error) {
     console.warn(`Unable to stop bot cleanly after ${signal}:`, error)
   }
 
-  await flushState()
+  await flushAllStores()
+  closeStorage()
 }
 
 async function initializeBot() {
+  console.log(`State storage: ${initStorage()}`)
   await loadAuthorizedUsersFromDisk()
   await loadDownloadCountFromDisk()
-  console.log(`Authorized users loaded: ${authorizedUsers.size}`)
+  await loadQuotasFromDisk()
+  await loadUserSettingsFromDisk()
+  await loadTokenPoolFromDisk()
+  await loadDownloadCacheFromDisk()
+  await loadInvitesFromDisk()
+  await loadWaitlistFromDisk()
+  await loadHistoryFromDisk()
+  checkAccessExpiry()
+  accessExpiryTimer = setInterval(checkAccessExpiry, ACCESS_CHECK_INTERVAL_MS)
+  accessExpiryTimer.unref()
+  scheduleDailyDigest()
+  await startMonitoringServer()
+  startTokenHealthChecks()
+  checkAllTokens().catch(error => console.warn('Initial token health check failed:', error))
+  console.log(`Authorized users loaded: ${getAuthorizedUserCount()}`)
   console.log(`Tracks downloaded historically: ${getDownloadCount()}`)
+  console.log(`SoundCloud OAuth tokens in pool: ${listTokens().length}`)
   console.log('Bot is up. Waiting for SoundCloud URLs...')
   await bot.start()
 }
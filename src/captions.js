@@ -2,24 +2,37 @@
 
 const messages = require('./messages')
 
-function buildCaption(metadata, qualityInfo) {
-  if (!metadata) return appendQuality(messages.captionDefault(), qualityInfo)
+function buildCaption(metadata, qualityInfo, transcode) {
+  return appendTranscode(appendQuality(buildTitle(metadata), qualityInfo), transcode)
+}
+
+function buildTitle(metadata) {
+  if (!metadata) return messages.captionDefault()
   const title = metadata.title || metadata.fulltitle
   const artist = metadata.uploader || metadata.artist
-  if (title && artist) {
-    return appendQuality(`${artist} – ${title}`, qualityInfo)
-  }
-  if (title) return appendQuality(title, qualityInfo)
-  return appendQuality(messages.captionFallback(), qualityInfo)
+  if (title && artist) return `${artist} – ${title}`
+  if (title) return title
+  return messages.captionFallback()
+}
+
+function appendTranscode(caption, transcode) {
+  if (!transcode) return caption
+  return `${caption}\n${messages.transcodedNotice(transcode.label, transcode.lossySource)}`
 }
 
 function appendQuality(caption, qualityInfo) {
-  if (!qualityInfo?.text) return caption
+  const lines = [caption]
   // Avoid duplicating warning text in caption; it is sent separately.
-  if (qualityInfo.warning && qualityInfo.text === qualityInfo.warning) {
-    return caption
+  if (qualityInfo?.text && qualityInfo.text !== qualityInfo.warning) {
+    lines.push(messages.qualityLine(qualityInfo.text))
+  }
+  if (qualityInfo?.bpm || qualityInfo?.key) {
+    lines.push(messages.tempoKeyLine(qualityInfo.bpm, qualityInfo.key))
+  }
+  if (qualityInfo?.loudness) {
+    lines.push(messages.loudnessLine(qualityInfo.loudness))
   }
-  return `${caption}\n${messages.qualityLine(qualityInfo.text)}`
+  return lines.join('\n')
 }
 
 module.exports = {
@@ -3,8 +3,7 @@
 const path = require('node:path')
 
 const BOT_TOKEN = process.env.BOT_TOKEN
-const SOUNDCLOUD_OAUTH_TOKEN =
-  process.env.SOUNDCLOUD_OAUTH_TOKEN || process.env.SOUNDCLOUD_OAUTH
+const SOUNDCLOUD_OAUTH_TOKENS = readTokenList()
 const PASSWORD_SEGMENT_SIZE = 25
 const ACCESS_PASSWORDS = readPasswordList()
 const MAX_AUTHORIZED_USERS = ACCESS_PASSWORDS.length * PASSWORD_SEGMENT_SIZE
@@ -14,12 +13,46 @@ const BINARY_CACHE_DIR = path.join(__dirname, '..', 'bin')
 const DATA_DIR = path.join(__dirname, '..', 'data')
 const AUTH_STORE_PATH = path.join(DATA_DIR, 'authorized-users.json')
 const DOWNLOAD_COUNT_PATH = path.join(DATA_DIR, 'download-count.json')
+const USER_QUOTAS_PATH = path.join(DATA_DIR, 'user-quotas.json')
+const INVITES_PATH = path.join(DATA_DIR, 'invites.json')
+const WAITLIST_PATH = path.join(DATA_DIR, 'waitlist.json')
+const DOWNLOAD_HISTORY_PATH = path.join(DATA_DIR, 'download-history.json')
+const AUDIT_LOG_PATH = path.join(DATA_DIR, 'audit-log.jsonl')
+const SQLITE_PATH = path.join(DATA_DIR, 'state.sqlite')
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'auto').toLowerCase()
+const USER_SETTINGS_PATH = path.join(DATA_DIR, 'user-settings.json')
+const DOWNLOAD_CACHE_PATH = path.join(DATA_DIR, 'download-cache.json')
+const DOWNLOAD_CACHE_MAX_ENTRIES = readPositiveInt(process.env.DOWNLOAD_CACHE_MAX_ENTRIES, 2000)
+const DOWNLOAD_CACHE_TTL_MS =
+  readPositiveInt(process.env.DOWNLOAD_CACHE_TTL_DAYS, 30) * 24 * 60 * 60 * 1000
+const OAUTH_TOKENS_PATH = path.join(DATA_DIR, 'oauth-tokens.json')
+const SOUNDCLOUD_API_BASE = process.env.SOUNDCLOUD_API_BASE || 'https://api-v2.soundcloud.com'
+const SOUNDCLOUD_CLIENT_ID = process.env.SOUNDCLOUD_CLIENT_ID
+const TOKEN_HEALTHCHECK_INTERVAL_MS =
+  readPositiveInt(process.env.TOKEN_HEALTHCHECK_MINUTES, 30) * 60 * 1000
 const YT_DLP_RELEASE_BASE =
   process.env.YT_DLP_DOWNLOAD_BASE ||
   'https://github.com/yt-dlp/yt-dlp/releases/latest/download/'
 const MAX_CONCURRENT_DOWNLOADS = readPositiveInt(process.env.MAX_CONCURRENT_DOWNLOADS, 3)
 const MAX_PENDING_DOWNLOADS = readPositiveInt(process.env.MAX_PENDING_DOWNLOADS, 25)
-const TELEGRAM_MAX_FILE_BYTES = 50 * 1024 * 1024
+const MAX_PENDING_PER_USER = readPositiveInt(process.env.MAX_PENDING_PER_USER, 5)
+// Per-user download quotas over rolling windows; 0 disables a limit.
+const QUOTA_DAILY = readLimit(process.env.QUOTA_DAILY, 0)
+const QUOTA_HOURLY = readLimit(process.env.QUOTA_HOURLY, 0)
+const QUOTA_BURST = readLimit(process.env.QUOTA_BURST, 0)
+const QUOTA_BURST_WINDOW_MS = readPositiveInt(process.env.QUOTA_BURST_WINDOW_SECONDS, 60) * 1000
+// How long a new authorization lasts; 0 keeps users authorized until revoked.
+const ACCESS_DURATION_MS = readLimit(process.env.ACCESS_DURATION_DAYS, 0) * 24 * 60 * 60 * 1000
+const ACCESS_REMINDER_MS = readLimit(process.env.ACCESS_REMINDER_DAYS, 3) * 24 * 60 * 60 * 1000
+// "HH:MM" (UTC) at which admins get the daily digest; unset disables it.
+const DAILY_DIGEST_MINUTES = readClockTime(process.env.DAILY_DIGEST_TIME)
+// Port of the /metrics, /healthz and /readyz listener; unset keeps it off.
+const HTTP_PORT = readLimit(process.env.HTTP_PORT, 0)
+const HTTP_HOST = process.env.HTTP_HOST || '0.0.0.0'
+const JOB_TIMEOUT_MS = readPositiveInt(process.env.JOB_TIMEOUT_MINUTES, 30) * 60 * 1000
+// A self-hosted telegram-bot-api server (--local) accepts uploads up to 2 GB.
+const TELEGRAM_API_ROOT = process.env.TELEGRAM_API_ROOT
+const TELEGRAM_MAX_FILE_BYTES = (TELEGRAM_API_ROOT ? 2000 : 50) * 1024 * 1024
 const IDHS_API_BASE_URL = process.env.IDHS_API_BASE_URL || 'http://localhost:3000'
 const IDHS_REQUEST_TIMEOUT_MS = Number(process.env.IDHS_REQUEST_TIMEOUT_MS || 15000)
 const IDHS_SUPPORTED_HOSTS = [
@@ -34,6 +67,7 @@ const ENABLE_QUALITY_ANALYSIS = process.env.ENABLE_QUALITY_ANALYSIS !== 'false'
 const QUALITY_ANALYSIS_DEBUG = process.env.QUALITY_ANALYSIS_DEBUG === 'true'
 const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg'
 const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe'
+const WRITE_REPLAYGAIN_TAGS = process.env.WRITE_REPLAYGAIN_TAGS === 'true'
 const YT_DLP_SKIP_CERT_CHECK = process.env.YT_DLP_SKIP_CERT_CHECK === 'true'
 const SHUTDOWN_SIGNALS = ['SIGINT', 'SIGTERM']
 const SOUND_CLOUD_REGEX = /(https?:\/\/(?:[\w-]+\.)?soundcloud\.com\/[\w\-./?=&%+#]+)/i
@@ -41,30 +75,58 @@ const THUMB_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.webp'])
 const INFO_SUFFIX = '.info.json'
 
 module.exports = {
+  ACCESS_DURATION_MS,
   ACCESS_PASSWORDS,
+  ACCESS_REMINDER_MS,
+  AUDIT_LOG_PATH,
   AUTH_STORE_PATH,
   BINARY_CACHE_DIR,
   ADMIN_USER_IDS,
   BOT_TOKEN,
+  DAILY_DIGEST_MINUTES,
   DATA_DIR,
+  DOWNLOAD_CACHE_MAX_ENTRIES,
+  DOWNLOAD_CACHE_PATH,
+  DOWNLOAD_CACHE_TTL_MS,
   DOWNLOAD_COUNT_PATH,
+  DOWNLOAD_HISTORY_PATH,
   ENABLE_QUALITY_ANALYSIS,
   FFPROBE_PATH,
   FFMPEG_PATH,
+  HTTP_HOST,
+  HTTP_PORT,
   IDHS_API_BASE_URL,
   IDHS_REQUEST_TIMEOUT_MS,
   IDHS_SUPPORTED_HOSTS,
   INFO_SUFFIX,
+  INVITES_PATH,
+  JOB_TIMEOUT_MS,
   MAX_AUTHORIZED_USERS,
   MAX_CONCURRENT_DOWNLOADS,
   MAX_PENDING_DOWNLOADS,
+  MAX_PENDING_PER_USER,
+  OAUTH_TOKENS_PATH,
   PASSWORD_SEGMENT_SIZE,
   QUALITY_ANALYSIS_DEBUG,
+  QUOTA_BURST,
+  QUOTA_BURST_WINDOW_MS,
+  QUOTA_DAILY,
+  QUOTA_HOURLY,
   SHUTDOWN_SIGNALS,
   SOUND_CLOUD_REGEX,
-  SOUNDCLOUD_OAUTH_TOKEN,
+  SOUNDCLOUD_API_BASE,
+  SOUNDCLOUD_CLIENT_ID,
+  SOUNDCLOUD_OAUTH_TOKENS,
+  SQLITE_PATH,
+  STORAGE_BACKEND,
+  TELEGRAM_API_ROOT,
   TELEGRAM_MAX_FILE_BYTES,
   THUMB_EXTENSIONS,
+  TOKEN_HEALTHCHECK_INTERVAL_MS,
+  USER_QUOTAS_PATH,
+  USER_SETTINGS_PATH,
+  WAITLIST_PATH,
+  WRITE_REPLAYGAIN_TAGS,
   YT_DLP_BINARY_PATH,
   YT_DLP_RELEASE_BASE,
   YT_DLP_SKIP_CERT_CHECK,
@@ -77,15 +139,19 @@ function validateRequiredEnv() {
     process.exit(1)
   }
 
-  if (!SOUNDCLOUD_OAUTH_TOKEN) {
+  if (!SOUNDCLOUD_OAUTH_TOKENS.length) {
     console.error(
-      'SOUNDCLOUD_OAUTH_TOKEN is missing. Provide the OAuth token from SoundCloud.'
+      'SOUNDCLOUD_OAUTH_TOKEN (or SOUNDCLOUD_OAUTH_TOKENS) is missing. Provide the OAuth token from SoundCloud.'
     )
     process.exit(1)
   }
 
-  if (!ACCESS_PASSWORDS.length) {
-    console.error('BOT_PASSWORDS (or BOT_PASSWORD) is missing. Set at least one password.')
+  // Without passwords the bot is invite-only, which needs an admin to hand
+  // out the codes.
+  if (!ACCESS_PASSWORDS.length && !ADMIN_USER_IDS.length) {
+    console.error(
+      'BOT_PASSWORDS (or BOT_PASSWORD) is missing. Set at least one password, or ADMIN_USER_IDS to run invite-only.'
+    )
     process.exit(1)
   }
 }
@@ -98,6 +164,27 @@ function readPositiveInt(value, fallback) {
   return fallback
 }
 
+function readLimit(value, fallback) {
+  const parsed = Number.parseInt(value, 10)
+  if (Number.isFinite(parsed) && parsed >= 0) {
+    return parsed
+  }
+  return fallback
+}
+
+/**
+ * Minutes after midnight for an "HH:MM" time, or null when unset or invalid.
+ */
+function readClockTime(value) {
+  if (!value) return null
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value.trim())
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    console.warn(`Ignoring DAILY_DIGEST_TIME=${value}: expected HH:MM.`)
+    return null
+  }
+  return Number(match[1]) * 60 + Number(match[2])
+}
+
 function readPasswordList() {
   const raw = process.env.BOT_PASSWORDS || process.env.BOT_PASSWORD
   if (!raw) return []
@@ -108,6 +195,21 @@ function readPasswordList() {
     .filter(Boolean)
 }
 
+function readTokenList() {
+  const raw = [
+    process.env.SOUNDCLOUD_OAUTH_TOKENS,
+    process.env.SOUNDCLOUD_OAUTH_TOKEN || process.env.SOUNDCLOUD_OAUTH
+  ]
+    .filter(Boolean)
+    .join(',')
+
+  const tokens = raw
+    .split(/[\n,;\s]+/)
+    .map(entry => entry.trim())
+    .filter(Boolean)
+  return [...new Set(tokens)]
+}
+
 function readAdminList() {
   const raw = process.env.ADMIN_USER_IDS
   if (!raw) return []
@@ -0,0 +1,186 @@
+'use strict'
+
+const { DOWNLOAD_CACHE_MAX_ENTRIES, DOWNLOAD_CACHE_TTL_MS } = require('./config')
+const { loadDocument, saveDocument } = require('./storage')
+const { isOutputFormat } = require('./transcode')
+
+// Map insertion order doubles as LRU order: hits are moved to the end and
+// eviction drops entries from the front.
+const cache = new Map()
+let cacheDirty = false
+let persistCacheTimer
+
+async function loadDownloadCacheFromDisk() {
+  try {
+    const parsed = await loadDocument('download-cache')
+    if (Array.isArray(parsed)) {
+      parsed.forEach(entry => {
+        if (entry && typeof entry.key === 'string' && typeof entry.fileId === 'string') {
+          cache.set(entry.key, entry)
+        }
+      })
+    }
+  } catch (error) {
+    console.warn('Unable to load download cache:', error)
+  }
+  if (pruneDownloadCache()) scheduleCachePersist()
+}
+
+/**
+ * Cache key for a SoundCloud track id, the picked SoundCloud format
+ * (`formatId`, "auto" when yt-dlp chose) and the output format.
+ */
+function downloadCacheKey(trackId, { formatId, format } = {}) {
+  if (!trackId) return null
+  const output = isOutputFormat(format) ? format : 'original'
+  return `${trackId}:${formatId || 'auto'}:${output}`
+}
+
+function getCachedDownload(key) {
+  if (!key) return null
+  const entry = cache.get(key)
+  if (!entry) return null
+  if (Date.now() - entry.cachedAt > DOWNLOAD_CACHE_TTL_MS) {
+    cache.delete(key)
+    scheduleCachePersist()
+    return null
+  }
+  entry.hits = (entry.hits || 0) + 1
+  entry.lastHitAt = Date.now()
+  cache.delete(key)
+  cache.set(key, entry)
+  scheduleCachePersist()
+  return entry
+}
+
+/**
+ * Remember what was sent for `key`: the Telegram file_id of the document
+ * (and of the spectrogram photo, when one was sent) plus the trimmed metadata
+ * and analysis needed to rebuild the caption.
+ */
+function storeCachedDownload(key, sent) {
+  if (!key || !sent.fileId) return
+  cache.delete(key)
+  cache.set(key, {
+    key,
+    trackId: String(sent.trackId),
+    fileId: sent.fileId,
+    spectrogramFileId: sent.spectrogramFileId || null,
+    metadata: trimMetadata(sent.metadata),
+    qualityInfo: sent.qualityInfo ? { ...sent.qualityInfo, spectrogram_path: null } : null,
+    transcode: sent.transcode || null,
+    cachedAt: Date.now(),
+    hits: 0,
+    lastHitAt: null
+  })
+  pruneDownloadCache()
+  scheduleCachePersist()
+}
+
+/**
+ * Drop every cached variant of a track. Returns how many entries went away.
+ */
+function invalidateCachedTrack(trackId) {
+  let removed = 0
+  cache.forEach((entry, key) => {
+    if (entry.trackId === String(trackId)) {
+      cache.delete(key)
+      removed += 1
+    }
+  })
+  if (removed) scheduleCachePersist()
+  return removed
+}
+
+function removeCachedDownload(key) {
+  if (cache.delete(key)) scheduleCachePersist()
+}
+
+function clearDownloadCache() {
+  const removed = cache.size
+  cache.clear()
+  if (removed) scheduleCachePersist()
+  return removed
+}
+
+function getDownloadCacheStats() {
+  let hits = 0
+  const tracks = new Set()
+  cache.forEach(entry => {
+    hits += entry.hits || 0
+    tracks.add(entry.trackId)
+  })
+  return {
+    entries: cache.size,
+    tracks: tracks.size,
+    hits,
+    maxEntries: DOWNLOAD_CACHE_MAX_ENTRIES,
+    ttlDays: Math.round(DOWNLOAD_CACHE_TTL_MS / (24 * 60 * 60 * 1000))
+  }
+}
+
+async function flushDownloadCache() {
+  if (persistCacheTimer) {
+    clearTimeout(persistCacheTimer)
+    persistCacheTimer = null
+  }
+  if (!cacheDirty) return
+
+  await persistDownloadCache().catch(error => {
+    console.error('Failed to persist download cache during shutdown:', error)
+    throw error
+  })
+}
+
+function pruneDownloadCache() {
+  const startSize = cache.size
+  const cutoff = Date.now() - DOWNLOAD_CACHE_TTL_MS
+  cache.forEach((entry, key) => {
+    if (!(entry.cachedAt > cutoff)) cache.delete(key)
+  })
+  while (cache.size > DOWNLOAD_CACHE_MAX_ENTRIES) {
+    cache.delete(cache.keys().next().value)
+  }
+  return cache.size !== startSize
+}
+
+function trimMetadata(metadata) {
+  if (!metadata) return null
+  return {
+    id: metadata.id,
+    title: metadata.title,
+    fulltitle: metadata.fulltitle,
+    uploader: metadata.uploader,
+    artist: metadata.artist,
+    duration: metadata.duration,
+    webpage_url: metadata.webpage_url
+  }
+}
+
+function scheduleCachePersist() {
+  cacheDirty = true
+  if (persistCacheTimer) return
+  persistCacheTimer = setTimeout(() => {
+    persistCacheTimer = null
+    persistDownloadCache().catch(error =>
+      console.error('Failed to persist download cache:', error)
+    )
+  }, 250)
+}
+
+async function persistDownloadCache() {
+  cacheDirty = false
+  await saveDocument('download-cache', [...cache.values()])
+}
+
+module.exports = {
+  clearDownloadCache,
+  downloadCacheKey,
+  flushDownloadCache,
+  getCachedDownload,
+  getDownloadCacheStats,
+  invalidateCachedTrack,
+  loadDownloadCacheFromDisk,
+  removeCachedDownload,
+  storeCachedDownload
+}
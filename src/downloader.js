@@ -9,7 +9,6 @@ const https = require('node:https')
 const { pipeline } = require('node:stream/promises')
 const {
   INFO_SUFFIX,
-  SOUNDCLOUD_OAUTH_TOKEN,
   THUMB_EXTENSIONS,
   YT_DLP_BINARY_PATH,
   BINARY_CACHE_DIR,
@@ -17,20 +16,36 @@ const {
   YT_DLP_SKIP_CERT_CHECK
 } = require('./config')
 const messages = require('./messages')
+const { classifyYtDlpError } = require('./errors')
+const { extractReadableErrorText, spawnCollect } = require('./utils')
+const { incrementCounter } = require('./metrics')
+const { assertFullTrack } = require('./preview')
+const {
+  acquireToken,
+  reportTokenAuthFailure,
+  reportTokenSuccess
+} = require('./token-pool')
+
+const DEFAULT_FORMAT_SELECTOR = 'bestaudio[ext!=opus][acodec!=opus]/http_aac_1_0/bestaudio/best'
+// yt-dlp exposes the uploader's original file (when downloads are enabled) under this id.
+const ORIGINAL_FORMAT_ID = 'download'
+// Machine-readable progress lines, one per update (see runYtDlpDownload).
+const PROGRESS_PREFIX = 'sc-dl-progress'
+const PROGRESS_TEMPLATE =
+  `download:${PROGRESS_PREFIX} %(progress.downloaded_bytes)s ` +
+  '%(progress.total_bytes)s %(progress.total_bytes_estimate)s'
 
 let ytdlpInstancePromise
 
-async function downloadTrack(url) {
+async function downloadTrack(url, opts = {}) {
   const ytdlp = await getYtDlp()
   const tmpDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'sc-dl-'))
   const outputTemplate = path.join(tmpDir, '%(title)s.%(ext)s')
-  const headers = [`Authorization: OAuth ${SOUNDCLOUD_OAUTH_TOKEN}`]
   let completed = false
   try {
     const options = {
       output: outputTemplate,
-      format: 'bestaudio[ext!=opus][acodec!=opus]/http_aac_1_0/bestaudio/best',
-      addHeader: headers,
+      format: opts.formatId || DEFAULT_FORMAT_SELECTOR,
       noPlaylist: true,
       retries: 3,
       noPart: true,
@@ -41,11 +56,9 @@ async function downloadTrack(url) {
       writeInfoJson: true
     }
 
-    if (YT_DLP_SKIP_CERT_CHECK) {
-      options.noCheckCertificates = true
-    }
-
-    await ytdlp(url, options)
+    await runWithToken(token =>
+      runYtDlpDownload(ytdlp, url, { ...baseYtDlpOptions(token), ...options }, opts)
+    )
 
     const files = await fsp.readdir(tmpDir)
     if (!files.length) {
@@ -55,6 +68,7 @@ async function downloadTrack(url) {
     }
 
     const { audioFile, metadata } = await pickAudioFile(tmpDir, files)
+    await assertFullTrack(audioFile.path, metadata)
     completed = true
     return { tempDir: tmpDir, path: audioFile.path, filename: audioFile.name, metadata }
   } finally {
@@ -64,6 +78,143 @@ async function downloadTrack(url) {
   }
 }
 
+/**
+ * Resolve a single track's info JSON without downloading anything.
+ */
+async function fetchTrackInfo(url) {
+  const ytdlp = await getYtDlp()
+  const output = await runWithToken(token =>
+    ytdlp(url, {
+      ...baseYtDlpOptions(token),
+      dumpSingleJson: true,
+      skipDownload: true,
+      noPlaylist: true,
+      quiet: true
+    })
+  )
+  return typeof output === 'string' ? JSON.parse(output) : output
+}
+
+/**
+ * Downloadable audio formats from an info JSON, original upload first and
+ * then by bitrate. Opus streams are left out since we cannot deliver them.
+ */
+function listAudioFormats(info) {
+  if (!Array.isArray(info?.formats)) return []
+  const duration = Number(info.duration)
+  return info.formats
+    .filter(format => format?.format_id)
+    .filter(format => format.ext !== 'opus' && !/opus/i.test(format.acodec || ''))
+    .map(format => {
+      const bitrate = Number(format.abr || format.tbr) || null
+      let sizeBytes = Number(format.filesize || format.filesize_approx) || null
+      if (!sizeBytes && bitrate && Number.isFinite(duration)) {
+        sizeBytes = Math.round(bitrate * 125 * duration)
+      }
+      return {
+        id: format.format_id,
+        original: format.format_id === ORIGINAL_FORMAT_ID,
+        codec: format.acodec && format.acodec !== 'none' ? format.acodec : format.ext,
+        ext: format.ext,
+        protocol: format.protocol,
+        bitrate: bitrate ? Math.round(bitrate) : null,
+        sizeBytes
+      }
+    })
+    .sort((a, b) => Number(b.original) - Number(a.original) || (b.bitrate || 0) - (a.bitrate || 0))
+}
+
+/**
+ * Run a yt-dlp call with a token from the pool. On an auth error the token is
+ * probed: when SoundCloud rejects it, it is disabled and the call is retried
+ * with the next one; when it still works, the track itself is off-limits and
+ * the call fails with TRACK_FORBIDDEN. When the probe cannot tell, the auth
+ * error is rethrown. Other failures are classified and rethrown as-is.
+ */
+async function runWithToken(task) {
+  const tried = new Set()
+  for (;;) {
+    const entry = acquireToken(tried)
+    if (!entry) {
+      const err = new Error('No usable SoundCloud OAuth token left in the pool.')
+      err.code = 'AUTH_INVALID'
+      err.userMessage = messages.authTokenInvalid()
+      throw err
+    }
+    tried.add(entry.id)
+    try {
+      const result = await task(entry.token)
+      incrementCounter('keson_ytdlp_exits_total', { code: '0' })
+      reportTokenSuccess(entry)
+      return result
+    } catch (error) {
+      incrementCounter('keson_ytdlp_exits_total', {
+        code: String(error?.exitCode ?? error?.signal ?? 'unknown')
+      })
+      classifyYtDlpError(error)
+      if (error?.code !== 'AUTH_INVALID') throw error
+      const verdict = await reportTokenAuthFailure(entry, extractReadableErrorText(error))
+      if (verdict === 'rejected') continue
+      // The token still works: it is this track that refuses it.
+      if (verdict === 'valid') {
+        error.code = 'TRACK_FORBIDDEN'
+        error.userMessage = messages.trackForbidden()
+      }
+      throw error
+    }
+  }
+}
+
+/**
+ * Run a yt-dlp download. `opts.onProgress` receives the download fraction
+ * (0–1) as it goes; aborting `opts.signal` kills the process.
+ */
+function runYtDlpDownload(ytdlp, url, flags, opts = {}) {
+  opts.signal?.throwIfAborted()
+  const { onProgress, signal } = opts
+  const progressFlags = onProgress
+    ? { progress: true, newline: true, progressTemplate: PROGRESS_TEMPLATE }
+    : {}
+  const subprocess = ytdlp.exec(url, { ...flags, ...progressFlags })
+  if (onProgress) {
+    let pending = ''
+    subprocess.stdout.on('data', chunk => {
+      const lines = (pending + chunk).split('\n')
+      pending = lines.pop()
+      lines.forEach(line => {
+        const fraction = parseProgressLine(line)
+        if (fraction !== null) onProgress(fraction)
+      })
+    })
+  }
+  if (signal) {
+    const kill = () => subprocess.kill('SIGTERM')
+    signal.addEventListener('abort', kill, { once: true })
+    const detach = () => signal.removeEventListener('abort', kill)
+    subprocess.then(detach, detach)
+  }
+  return subprocess
+}
+
+function parseProgressLine(line) {
+  const match = line.trim().match(new RegExp(`^${PROGRESS_PREFIX} (\\S+) (\\S+) (\\S+)$`))
+  if (!match) return null
+  const downloaded = Number(match[1])
+  const total = Number(match[2]) || Number(match[3])
+  if (!Number.isFinite(downloaded) || !Number.isFinite(total) || total <= 0) return null
+  return Math.min(1, Math.max(0, downloaded / total))
+}
+
+function baseYtDlpOptions(token) {
+  const options = {
+    addHeader: [`Authorization: OAuth ${token}`]
+  }
+  if (YT_DLP_SKIP_CERT_CHECK) {
+    options.noCheckCertificates = true
+  }
+  return options
+}
+
 async function cleanupTempDir(dir) {
   await fsp.rm(dir, { recursive: true, force: true })
 }
@@ -78,6 +229,15 @@ async function getYtDlp() {
   return ytdlpInstancePromise
 }
 
+/**
+ * Run `yt-dlp --version` for the readiness probe; resolves to the version.
+ */
+async function checkYtDlpBinary(signal) {
+  const binaryPath = await ensureYtDlpBinary()
+  const { stdout } = await spawnCollect(binaryPath, ['--version'], { signal })
+  return stdout.trim()
+}
+
 async function ensureYtDlpBinary() {
   if (YT_DLP_BINARY_PATH) {
     return YT_DLP_BINARY_PATH
@@ -226,14 +386,17 @@ async function pickAudioFile(tmpDir, files) {
 async function fetchPlaylistTracks(url, limit = 100) {
   const ytdlp = await getYtDlp()
   try {
-    const output = await ytdlp(url, {
-      dumpSingleJson: true,
-      flatPlaylist: true,
-      skipDownload: true,
-      simulate: true,
-      playlistEnd: limit,
-      quiet: true
-    })
+    const output = await runWithToken(token =>
+      ytdlp(url, {
+        ...baseYtDlpOptions(token),
+        dumpSingleJson: true,
+        flatPlaylist: true,
+        skipDownload: true,
+        simulate: true,
+        playlistEnd: limit,
+        quiet: true
+      })
+    )
     const parsed = typeof output === 'string' ? JSON.parse(output) : output
     if (parsed?.entries && Array.isArray(parsed.entries)) {
       return parsed.entries
@@ -241,14 +404,19 @@ async function fetchPlaylistTracks(url, limit = 100) {
         .filter(u => typeof u === 'string')
     }
   } catch (error) {
+    // Known failures (private set, deleted, ...) deserve their own message;
+    // anything else still degrades to the "no entries" reply.
+    if (error?.userMessage) throw error
     console.warn('Unable to fetch playlist entries:', error)
   }
   return []
 }
 
 module.exports = {
+  checkYtDlpBinary,
   cleanupTempDir,
-  downloadTrack
-  ,
-  fetchPlaylistTracks
+  downloadTrack,
+  fetchPlaylistTracks,
+  fetchTrackInfo,
+  listAudioFormats
 }
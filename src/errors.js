@@ -0,0 +1,65 @@
+'use strict'
+
+const messages = require('./messages')
+const { extractReadableErrorText } = require('./utils')
+
+// Checked in order: the first matching rule wins, so the more specific
+// patterns (ffmpeg, rate limits, auth) sit before the broad 403/404 ones.
+const YT_DLP_ERROR_RULES = [
+  {
+    code: 'FFMPEG_MISSING',
+    pattern: /ff(?:mpeg|probe)[^\n]*not found|ffmpeg-location/i,
+    message: messages.ffmpegMissing
+  },
+  {
+    code: 'RATE_LIMITED',
+    pattern: /HTTP Error 429|Too Many Requests|rate[- ]limit/i,
+    message: messages.rateLimited
+  },
+  {
+    code: 'AUTH_INVALID',
+    pattern: /HTTP Error 401|Unauthorized|invalid[^\n]*token|token[^\n]*(?:expired|invalid)/i,
+    message: messages.authTokenInvalid
+  },
+  {
+    code: 'GEO_BLOCKED',
+    pattern: /geo[- ]?restrict|geo[- ]?block|not available in your (?:country|region|location)/i,
+    message: messages.geoBlocked
+  },
+  {
+    code: 'PRIVATE_TRACK',
+    pattern: /This track is private|private (?:track|video|playlist|set)/i,
+    message: messages.privateTrack
+  },
+  {
+    code: 'NOT_FOUND',
+    pattern: /HTTP Error 404|Not Found|has been removed|does not exist|no longer available/i,
+    message: messages.trackNotFound
+  },
+  {
+    code: 'UNSUPPORTED_URL',
+    pattern: /Unsupported URL|is not a valid URL|No suitable extractor/i,
+    message: messages.unsupportedUrl
+  }
+]
+
+/**
+ * Tag a yt-dlp failure with a `code` and `userMessage` when it matches one of
+ * the known failure types. Unknown failures are returned untouched so they
+ * still reach the admins.
+ */
+function classifyYtDlpError(error) {
+  if (!error || error.userMessage) return error
+  const text = [error.message, error.stderr, error.stdout]
+    .filter(value => typeof value === 'string')
+    .join('\n')
+  const rule = YT_DLP_ERROR_RULES.find(candidate => candidate.pattern.test(text))
+  if (!rule) return error
+
+  error.code = rule.code
+  error.userMessage = rule.message()
+  console.warn(`yt-dlp failed (${rule.code}):`, extractReadableErrorText(error))
+  return error
+}
+
+module.exports = { classifyYtDlpError }
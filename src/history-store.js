@@ -0,0 +1,121 @@
+'use strict'
+
+const { loadDocument, saveDocument } = require('./storage')
+
+const HISTORY_MAX_ENTRIES_PER_USER = 200
+
+// userId -> deliveries, newest first:
+// { id, trackId, title, artist, url, format, verdict, verdictLabel, fileId,
+//   caption, deliveredAt }
+const history = new Map()
+let historyDirty = false
+let persistHistoryTimer
+
+async function loadHistoryFromDisk() {
+  try {
+    const parsed = await loadDocument('download-history')
+    if (parsed && typeof parsed === 'object') {
+      Object.entries(parsed).forEach(([key, entries]) => {
+        const id = Number(key)
+        if (Number.isFinite(id) && Array.isArray(entries)) {
+          history.set(id, entries)
+        }
+      })
+    }
+  } catch (error) {
+    console.warn('Unable to load download history:', error)
+  }
+}
+
+/**
+ * Record a completed delivery for `userId`. Only the newest
+ * HISTORY_MAX_ENTRIES_PER_USER deliveries are kept.
+ */
+function addHistoryEntry(userId, delivery) {
+  const entries = history.get(userId) || []
+  const entry = {
+    id: (entries[0]?.id || 0) + 1,
+    trackId: delivery.trackId ? String(delivery.trackId) : null,
+    title: delivery.title || null,
+    artist: delivery.artist || null,
+    url: delivery.url || null,
+    format: delivery.format || null,
+    verdict: delivery.verdict || null,
+    verdictLabel: delivery.verdictLabel || null,
+    fileId: delivery.fileId || null,
+    caption: delivery.caption || null,
+    deliveredAt: Date.now()
+  }
+  entries.unshift(entry)
+  entries.length = Math.min(entries.length, HISTORY_MAX_ENTRIES_PER_USER)
+  history.set(userId, entries)
+  scheduleHistoryPersist()
+  return entry
+}
+
+/**
+ * One page of a user's history, newest first. `page` is 0-based and clamped
+ * to the available pages.
+ */
+function getHistoryPage(userId, page, pageSize) {
+  const entries = history.get(userId) || []
+  const pageCount = Math.max(1, Math.ceil(entries.length / pageSize))
+  const current = Math.min(Math.max(page, 0), pageCount - 1)
+  return {
+    entries: entries.slice(current * pageSize, (current + 1) * pageSize),
+    page: current,
+    pageCount,
+    total: entries.length
+  }
+}
+
+function getHistoryEntry(userId, entryId) {
+  return (history.get(userId) || []).find(entry => entry.id === entryId) || null
+}
+
+/**
+ * Forget a stored file_id Telegram no longer accepts, so the next re-send
+ * downloads the track again.
+ */
+function clearHistoryFileId(userId, entryId) {
+  const entry = getHistoryEntry(userId, entryId)
+  if (!entry?.fileId) return
+  entry.fileId = null
+  scheduleHistoryPersist()
+}
+
+async function flushHistory() {
+  if (persistHistoryTimer) {
+    clearTimeout(persistHistoryTimer)
+    persistHistoryTimer = null
+  }
+  if (!historyDirty) return
+
+  await persistHistory().catch(error => {
+    console.error('Failed to persist download history during shutdown:', error)
+    throw error
+  })
+}
+
+function scheduleHistoryPersist() {
+  historyDirty = true
+  if (persistHistoryTimer) return
+  persistHistoryTimer = setTimeout(() => {
+    persistHistoryTimer = null
+    persistHistory().catch(error => console.error('Failed to persist download history:', error))
+  }, 250)
+}
+
+async function persistHistory() {
+  historyDirty = false
+  await saveDocument('download-history', Object.fromEntries(history))
+}
+
+module.exports = {
+  addHistoryEntry,
+  clearHistoryFileId,
+  flushHistory,
+  getHistoryEntry,
+  getHistoryPage,
+  loadHistoryFromDisk
+}
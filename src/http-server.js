@@ -0,0 +1,94 @@
+'use strict'
+
+const http = require('node:http')
+const { renderMetrics } = require('./metrics')
+
+const CHECK_TIMEOUT_MS = 10 * 1000
+// Probes arrive every few seconds; spawning yt-dlp and ffmpeg for each one
+// would cost more than the answer is worth.
+const READINESS_CACHE_MS = 15 * 1000
+
+/**
+ * Start the HTTP listener serving /metrics, /healthz and /readyz.
+ * `isAlive()` answers /healthz and should turn false when the bot stalled.
+ * `readinessChecks` maps a check name to `async signal => {}`, which throws
+ * when that dependency is not usable. Resolves to the http.Server once it
+ * is listening.
+ */
+function startHttpServer({ port, host, isAlive, readinessChecks }) {
+  let cachedReadiness = null
+  let pendingReadiness = null
+
+  const readiness = () => {
+    if (cachedReadiness && Date.now() - cachedReadiness.checkedAt < READINESS_CACHE_MS) {
+      return Promise.resolve(cachedReadiness)
+    }
+    if (!pendingReadiness) {
+      pendingReadiness = runChecks(readinessChecks)
+        .then(result => {
+          cachedReadiness = result
+          return result
+        })
+        .finally(() => {
+          pendingReadiness = null
+        })
+    }
+    return pendingReadiness
+  }
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost')
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      respond(res, 405, 'text/plain', 'method not allowed\n')
+      return
+    }
+    if (pathname === '/metrics') {
+      respond(res, 200, 'text/plain; version=0.0.4; charset=utf-8', renderMetrics())
+    } else if (pathname === '/healthz') {
+      const alive = isAlive()
+      respond(res, alive ? 200 : 503, 'text/plain', alive ? 'ok\n' : 'polling stopped\n')
+    } else if (pathname === '/readyz') {
+      readiness().then(
+        result => respond(res, result.ready ? 200 : 503, 'application/json', JSON.stringify(result)),
+        error => respond(res, 503, 'text/plain', `${error?.message || error}\n`)
+      )
+    } else {
+      respond(res, 404, 'text/plain', 'not found\n')
+    }
+  })
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.listen(port, host, () => {
+      server.off('error', reject)
+      resolve(server)
+    })
+  })
+}
+
+async function runChecks(checks) {
+  const results = await Promise.all(
+    Object.entries(checks).map(async ([name, check]) => {
+      try {
+        await check(AbortSignal.timeout(CHECK_TIMEOUT_MS))
+        return [name, { ok: true }]
+      } catch (error) {
+        return [name, { ok: false, error: error?.message || String(error) }]
+      }
+    })
+  )
+  return {
+    ready: results.every(([, result]) => result.ok),
+    checks: Object.fromEntries(results),
+    checkedAt: Date.now()
+  }
+}
+
+function respond(res, status, contentType, body) {
+  res.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-store' })
+  res.end(body)
+}
+
+module.exports = {
+  startHttpServer
+}
@@ -0,0 +1,165 @@
+'use strict'
+
+const crypto = require('node:crypto')
+const messages = require('./messages')
+const { loadDocument, saveDocument } = require('./storage')
+
+// No 0/O or 1/I so codes survive being read out or retyped.
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+const CODE_LENGTH = 8
+const CODE_PATTERN = new RegExp(`^[${CODE_ALPHABET}]{${CODE_LENGTH}}$`)
+
+// code -> { code, createdBy, createdAt, maxUses, expiresAt, accessMs, revoked,
+// redemptions }
+const invites = new Map()
+let invitesDirty = false
+let persistInvitesTimer
+
+async function loadInvitesFromDisk() {
+  try {
+    const parsed = await loadDocument('invites')
+    if (Array.isArray(parsed)) {
+      parsed.forEach(invite => {
+        if (invite && typeof invite.code === 'string') {
+          invites.set(invite.code, {
+            ...invite,
+            redemptions: Array.isArray(invite.redemptions) ? invite.redemptions : []
+          })
+        }
+      })
+    }
+  } catch (error) {
+    console.warn('Unable to load invites:', error)
+  }
+}
+
+/**
+ * Create an invite code usable `maxUses` times, optionally until `expiresAt`
+ * (a timestamp). `accessMs` limits how long the access granted by the code
+ * lasts (null = the configured default).
+ */
+function createInvite({ createdBy, maxUses = 1, expiresAt = null, accessMs = null }) {
+  let code
+  do {
+    code = generateCode()
+  } while (invites.has(code))
+  const invite = {
+    code,
+    createdBy,
+    createdAt: Date.now(),
+    maxUses,
+    expiresAt,
+    accessMs,
+    revoked: false,
+    redemptions: []
+  }
+  invites.set(code, invite)
+  scheduleInvitesPersist()
+  return invite
+}
+
+/**
+ * Whether `text` has the shape of an invite code, so it can be told apart
+ * from a password attempt without touching the store.
+ */
+function looksLikeInviteCode(text) {
+  return typeof text === 'string' && CODE_PATTERN.test(text.trim().toUpperCase())
+}
+
+/**
+ * Spend one use of `code` for `userId`. Throws an error carrying `code` and
+ * `userMessage` when the invite is unknown, revoked, expired or used up.
+ */
+function redeemInvite(code, userId) {
+  const invite = getInvite(code)
+  if (!invite || invite.revoked) {
+    throw inviteError('INVITE_NOT_FOUND', messages.inviteInvalid())
+  }
+  if (invite.expiresAt && Date.now() > invite.expiresAt) {
+    throw inviteError('INVITE_EXPIRED', messages.inviteExpired())
+  }
+  if (invite.redemptions.length >= invite.maxUses) {
+    throw inviteError('INVITE_USED_UP', messages.inviteUsedUp())
+  }
+  invite.redemptions.push({ userId, redeemedAt: Date.now() })
+  scheduleInvitesPersist()
+  return invite
+}
+
+function revokeInvite(code) {
+  const invite = getInvite(code)
+  if (!invite || invite.revoked) return null
+  invite.revoked = true
+  scheduleInvitesPersist()
+  return invite
+}
+
+function getInvite(code) {
+  if (typeof code !== 'string') return null
+  return invites.get(code.trim().toUpperCase()) || null
+}
+
+/**
+ * Invites that can still be redeemed, newest first.
+ */
+function listActiveInvites() {
+  const now = Date.now()
+  return [...invites.values()]
+    .filter(
+      invite =>
+        !invite.revoked &&
+        invite.redemptions.length < invite.maxUses &&
+        !(invite.expiresAt && now > invite.expiresAt)
+    )
+    .sort((a, b) => b.createdAt - a.createdAt)
+}
+
+async function flushInvites() {
+  if (persistInvitesTimer) {
+    clearTimeout(persistInvitesTimer)
+    persistInvitesTimer = null
+  }
+  if (!invitesDirty) return
+
+  await persistInvites().catch(error => {
+    console.error('Failed to persist invites during shutdown:', error)
+    throw error
+  })
+}
+
+function generateCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH)
+  return [...bytes].map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('')
+}
+
+function inviteError(code, userMessage) {
+  const error = new Error(`Invite rejected: ${code}`)
+  error.code = code
+  error.userMessage = userMessage
+  return error
+}
+
+function scheduleInvitesPersist() {
+  invitesDirty = true
+  if (persistInvitesTimer) return
+  persistInvitesTimer = setTimeout(() => {
+    persistInvitesTimer = null
+    persistInvites().catch(error => console.error('Failed to persist invites:', error))
+  }, 250)
+}
+
+async function persistInvites() {
+  invitesDirty = false
+  await saveDocument('invites', [...invites.values()])
+}
+
+module.exports = {
+  createInvite,
+  flushInvites,
+  getInvite,
+  listActiveInvites,
+  loadInvitesFromDisk,
+  looksLikeInviteCode,
+  redeemInvite,
+  revokeInvite
+}
@@ -0,0 +1,96 @@
+'use strict'
+
+const messages = require('./messages')
+
+const jobs = new Map()
+let nextJobNumber = 1
+
+/**
+ * Register a download job for `userId`. Each job carries an AbortController
+ * whose signal is threaded through the queue, yt-dlp and ffmpeg so /cancel
+ * and the per-job timeout can stop it wherever it is.
+ */
+function createJob(userId, label) {
+  const controller = new AbortController()
+  const job = {
+    id: `j${nextJobNumber++}`,
+    userId,
+    label,
+    controller,
+    signal: controller.signal,
+    state: 'queued',
+    createdAt: Date.now(),
+    startedAt: null,
+    timeoutTimer: null
+  }
+  jobs.set(job.id, job)
+  return job
+}
+
+/**
+ * Mark the job as running and arm its timeout.
+ */
+function startJob(job, timeoutMs) {
+  job.state = 'running'
+  job.startedAt = Date.now()
+  job.timeoutTimer = setTimeout(() => {
+    job.controller.abort(createJobAbortError('JOB_TIMEOUT', timeoutMs))
+  }, timeoutMs)
+  job.timeoutTimer.unref()
+}
+
+/**
+ * How long the job waited in the queue before a worker picked it up.
+ */
+function queueWaitMs(job) {
+  return job.startedAt ? job.startedAt - job.createdAt : null
+}
+
+function finishJob(job) {
+  clearTimeout(job.timeoutTimer)
+  jobs.delete(job.id)
+}
+
+function getJob(id) {
+  return jobs.get(id) || null
+}
+
+function listUserJobs(userId) {
+  return [...jobs.values()].filter(job => job.userId === userId)
+}
+
+function cancelJob(id) {
+  const job = jobs.get(id)
+  if (!job || job.signal.aborted) return null
+  job.controller.abort(createJobAbortError('CANCELLED'))
+  return job
+}
+
+/**
+ * Once a job was aborted, whatever a killed child process threw is noise:
+ * report the abort reason instead.
+ */
+function resolveJobError(job, error) {
+  return job.signal.aborted ? job.signal.reason : error
+}
+
+function createJobAbortError(code, timeoutMs) {
+  const timedOut = code === 'JOB_TIMEOUT'
+  const err = new Error(
+    timedOut ? `Job timed out after ${Math.round(timeoutMs / 1000)}s.` : 'Job cancelled by user.'
+  )
+  err.code = code
+  err.userMessage = timedOut ? messages.jobTimedOut() : messages.jobCancelled()
+  return err
+}
+
+module.exports = {
+  cancelJob,
+  createJob,
+  finishJob,
+  getJob,
+  listUserJobs,
+  queueWaitMs,
+  resolveJobError,
+  startJob
+}
@@ -0,0 +1,96 @@
+'use strict'
+
+const { FFMPEG_PATH } = require('./config')
+const { spawnCollect } = require('./utils')
+
+const CLIP_THRESHOLD = 0.999
+const REPLAYGAIN_REFERENCE_LUFS = -18
+
+/**
+ * Run ffmpeg's ebur128 filter over the whole file and parse the summary.
+ * Returns { integrated_lufs, loudness_range_lu, true_peak_dbtp } or null.
+ */
+async function measureLoudness(filePath, opts = {}) {
+  const args = [
+    '-hide_banner',
+    '-nostats',
+    '-nostdin',
+    '-i',
+    filePath,
+    '-map',
+    '0:a:0',
+    '-af',
+    // Per-frame lines go to the verbose level, which the default log level
+    // hides; only the summary is printed (FFmpeg 4.1 has no framelog=quiet).
+    'ebur128=peak=true:framelog=verbose',
+    '-f',
+    'null',
+    '-'
+  ]
+  const { stderr } = await spawnCollect(FFMPEG_PATH, args, { signal: opts.signal })
+  return parseEbur128Summary(stderr)
+}
+
+function parseEbur128Summary(text) {
+  if (!text) return null
+  const summaryIndex = text.lastIndexOf('Summary:')
+  if (summaryIndex === -1) return null
+  const summary = text.slice(summaryIndex)
+
+  const integrated = readNumber(summary, /I:\s*(-?inf|-?\d+(?:\.\d+)?)\s*LUFS/i)
+  const range = readNumber(summary, /LRA:\s*(-?\d+(?:\.\d+)?)\s*LU\b/i)
+  const peak = readNumber(summary, /Peak:\s*(-?inf|-?\d+(?:\.\d+)?)\s*dBFS/i)
+  if (integrated === null) return null
+
+  return {
+    integrated_lufs: integrated,
+    loudness_range_lu: range,
+    true_peak_dbtp: peak
+  }
+}
+
+function readNumber(text, pattern) {
+  const match = text.match(pattern)
+  if (!match) return null
+  const value = Number(match[1].replace(/inf$/i, 'Infinity'))
+  return Number.isFinite(value) ? value : null
+}
+
+/**
+ * PCM consumer for `streamPcm` counting samples at (or within a hair of)
+ * full scale. It sees the mono downmix, so it flags clipping that survives
+ * on both channels — the brickwalled case we care about.
+ */
+function createClipCounter() {
+  let clipped = 0
+  return {
+    push(samples) {
+      for (let i = 0; i < samples.length; i++) {
+        if (samples[i] >= CLIP_THRESHOLD || samples[i] <= -CLIP_THRESHOLD) clipped += 1
+      }
+    },
+    result() {
+      return clipped
+    }
+  }
+}
+
+/**
+ * ReplayGain 2.0 track tags (-18 LUFS reference) for `writeMetadataTags`.
+ */
+function replayGainTags(loudness) {
+  if (!Number.isFinite(loudness?.integrated_lufs)) return {}
+  const gain = REPLAYGAIN_REFERENCE_LUFS - loudness.integrated_lufs
+  const tags = { REPLAYGAIN_TRACK_GAIN: `${gain.toFixed(2)} dB` }
+  if (Number.isFinite(loudness.true_peak_dbtp)) {
+    const linearPeak = Math.pow(10, loudness.true_peak_dbtp / 20)
+    tags.REPLAYGAIN_TRACK_PEAK = linearPeak.toFixed(6)
+  }
+  return tags
+}
+
+module.exports = {
+  createClipCounter,
+  measureLoudness,
+  replayGainTags
+}
@@ -39,11 +39,128 @@ module.exports = {
   downloadPrep() {
     return 'exspectro partronumb'
   },
+  cancelButton() {
+    return '✖️ Annuler'
+  },
+  jobCancelled() {
+    return 'ok, download annulé'
+  },
+  jobCancelledToast() {
+    return 'annulation…'
+  },
+  jobTimedOut() {
+    return 'ce download prenait trop de temps, je l’ai coupé. réessaie plus tard bb.'
+  },
+  noJobToCancel() {
+    return 'rien à annuler, t’as aucun download en cours'
+  },
+  statusQueued(position) {
+    return `⏳ dans la file, position ${position}`
+  },
+  statusDownloading(fraction) {
+    if (fraction === null) return '⬇️ download en cours…'
+    const percent = Math.round(fraction * 100)
+    const filled = Math.round(fraction * 10)
+    return `⬇️ download ${'▰'.repeat(filled)}${'▱'.repeat(10 - filled)} ${percent}%`
+  },
+  statusAnalyzing() {
+    return '🔬 analyse du spectre…'
+  },
+  statusConverting(label) {
+    return `🔄 conversion en ${label}…`
+  },
+  statusUploading() {
+    return '⬆️ upload vers telegram…'
+  },
+  infoUsage() {
+    return 'usage: /info ton lien soundcloud'
+  },
+  infoPlaylistUnsupported() {
+    return "/info c'est pour un seul track bb, pas une playlist"
+  },
+  infoButton() {
+    return 'ℹ️ Info'
+  },
+  trackInfo(summary) {
+    const lines = []
+    lines.push(`🎵 ${summary.uploader ? `${summary.uploader} – ` : ''}${summary.title || '?'}`)
+    if (summary.durationSeconds !== null) {
+      const minutes = Math.floor(summary.durationSeconds / 60)
+      const seconds = String(Math.round(summary.durationSeconds % 60)).padStart(2, '0')
+      lines.push(`Durée: ${minutes}:${seconds}`)
+    }
+    if (summary.uploadDate) lines.push(`Upload: ${summary.uploadDate}`)
+    if (summary.genre) lines.push(`Genre: ${summary.genre}`)
+    lines.push(`Original dispo: ${summary.hasOriginal ? 'oui' : 'non'}`)
+    if (summary.sourceBitrate) lines.push(`Débit source: ${summary.sourceBitrate} kbps`)
+    if (summary.estimatedBytes) {
+      const size = (summary.estimatedBytes / (1024 * 1024)).toFixed(1)
+      lines.push(`Taille estimée: ~${size} MB${summary.tooLarge ? ' ⚠️ trop gros pour telegram' : ''}`)
+    }
+    if (summary.previewOnly) lines.push('⚠️ Preview Go+ uniquement (30 s)')
+    if (summary.formats.length) {
+      lines.push('Formats:')
+      summary.formats.forEach(format => {
+        lines.push(`• ${this.formatChoiceButton(format, false)}`)
+      })
+    }
+    return lines.join('\n')
+  },
+  formatChoicePrompt() {
+    return 'plusieurs versions dispo, tu veux laquelle ?'
+  },
+  formatChoiceAuto() {
+    return '⚡ Auto (meilleure dispo)'
+  },
+  formatChoiceButton(option, tooLarge) {
+    const name = option.original ? 'Original' : option.id
+    const parts = [name, option.codec]
+    if (option.bitrate) parts.push(`${option.bitrate} kbps`)
+    if (option.sizeBytes) parts.push(`~${(option.sizeBytes / (1024 * 1024)).toFixed(1)} MB`)
+    return `${tooLarge ? '⚠️ ' : ''}${parts.join(' · ')}`
+  },
+  formatChoiceSelected(option) {
+    if (!option) return 'ok, je prends la meilleure version dispo'
+    return `ok, je prends ${option.original ? "l'original" : option.id}`
+  },
   fileTooLarge() {
     return 'Ton son est trop gros bb :( telegram a la flemmmmme'
   },
+  oversizeChoicePrompt(sizeBytes, maxBytes) {
+    const size = (sizeBytes / (1024 * 1024)).toFixed(1)
+    const max = Math.round(maxBytes / (1024 * 1024))
+    return `Ton son fait ${size} MB, telegram bloque à ${max} MB. je fais quoi ?`
+  },
+  oversizeEncodeButton(bitrateKbps) {
+    return `🗜️ Réencoder en MP3 ${bitrateKbps} kbps`
+  },
+  oversizeSplitButton(count) {
+    return `✂️ Couper en ${count} parties`
+  },
+  oversizeCancelButton() {
+    return '🛑 Laisse tomber'
+  },
+  oversizeEncoding(bitrateKbps) {
+    return `ok, je réencode en MP3 ${bitrateKbps} kbps, ça peut prendre un moment…`
+  },
+  oversizeSplitting(count) {
+    return `ok, je t'envoie ça en ${count} parties`
+  },
+  oversizeCancelled() {
+    return 'ok, tant pis'
+  },
+  oversizeEncodeFailed() {
+    return 'le réencodage a foiré, essaie de couper en parties'
+  },
+  splitPartCaption(index, count) {
+    return `partie ${index}/${count}`
+  },
+  splitJoinHint(filename, count) {
+    const last = String(count).padStart(3, '0')
+    return `pour recoller: ouvre ${filename}.001 avec 7-Zip, ou \`cat "${filename}".[0-9][0-9][0-9] > "${filename}"\` (parties 001 à ${last})`
+  },
   promptPassword() {
-    return 'mdp stp bb'
+    return "mdp ou code d'invit stp bb"
   },
   passwordAccepted() {
     return 'bravo t kool'
@@ -51,8 +168,50 @@ module.exports = {
   passwordRejected() {
     return 'pas le bon mdp lol'
   },
-  authLimitReached() {
-    return 'dsl bb c full rn, plus de place :('
+  waitlistJoined(position) {
+    return `dsl bb c full rn, je t'ai mis sur la liste d'attente (#${position}). un admin va valider, ou envoie un code d'invit si t'en as un`
+  },
+  waitlistAlready(position) {
+    return `t'es toujours sur la liste d'attente (#${position}), patience bb`
+  },
+  waitlistApproved() {
+    return "un admin t'a validé, bienvenue bb! envoie un lien soundcloud"
+  },
+  waitlistDenied() {
+    return "un admin a refusé ta demande, dsl bb. avec un code d'invit tu peux quand même rentrer"
+  },
+  waitlistAdminAlert(entry, position) {
+    return `demande d'accès: ${this.waitlistName(entry)} (${entry.id}), #${position} sur la liste d'attente`
+  },
+  waitlistApproveButton() {
+    return '✅ Accepter'
+  },
+  waitlistDenyButton() {
+    return '❌ Refuser'
+  },
+  waitlistDecision(entry, approved, adminId) {
+    return `${this.waitlistName(entry)} (${entry.id}) ${approved ? 'accepté' : 'refusé'} par ${adminId}`
+  },
+  waitlistHandledToast() {
+    return 'déjà traité'
+  },
+  waitlistEmpty() {
+    return "personne sur la liste d'attente"
+  },
+  waitlistEntry(entry) {
+    return `#${entry.position} ${entry.id} ${this.waitlistName(entry)} · depuis ${this.shortDate(entry.requestedAt)}`
+  },
+  waitlistName(entry) {
+    return entry.username ? `@${entry.username}` : entry.firstName || 'sans nom'
+  },
+  waitlistMoved(userId, position) {
+    return `${userId} passe en #${position}`
+  },
+  waitlistNotFound(userId) {
+    return `${userId} est pas sur la liste d'attente`
+  },
+  waitlistUsage() {
+    return 'usage: /waitlist | /waitlist move <user id> <position> | /waitlist approve <user id> | /waitlist deny <user id>'
   },
   notAdmin() {
     return 't pas admin bb'
@@ -67,18 +226,317 @@ module.exports = {
     const failLine = failed ? `, ${failed} fail` : ''
     return `envoyé à ${sent} user${sent === 1 ? '' : 's'}${failLine}`
   },
+  tokensUsage() {
+    return 'usage: /tokens (liste) | /tokens add <token> | /tokens remove <id> | /tokens enable <id> | /tokens check'
+  },
+  tokensList(entries) {
+    if (!entries.length) return 'aucun token dans le pool'
+    return entries
+      .map(entry => {
+        const status = entry.disabled ? `❌ désactivé (${entry.disabledReason})` : '✅ actif'
+        const check =
+          entry.lastCheckAt === null
+            ? 'jamais vérifié'
+            : `check ${new Date(entry.lastCheckAt).toISOString()} ${entry.lastCheckOk ? 'ok' : 'ko'}`
+        return `${entry.id} ${entry.label} [${entry.source}] ${status} · ${entry.uses} jobs · ${entry.failures} fails · ${check}`
+      })
+      .join('\n')
+  },
+  tokenAdded(id) {
+    return `token ajouté (${id}). j'ai supprimé ton message pour pas le laisser traîner.`
+  },
+  tokenRemoved(id) {
+    return `token ${id} retiré du pool`
+  },
+  tokenEnabled(id) {
+    return `token ${id} réactivé`
+  },
+  tokenNotFound(id) {
+    return `aucun token avec l'id ${id}`
+  },
+  tokenDisabledAlert(id, label, reason) {
+    return `⚠️ Token SoundCloud ${id} (${label}) désactivé: ${reason}`
+  },
+  cacheUsage() {
+    return 'usage: /cache (stats) | /cache drop <lien ou id du track> | /cache clear'
+  },
+  cacheStats(stats) {
+    return `cache: ${stats.entries}/${stats.maxEntries} fichiers (${stats.tracks} tracks) · ${stats.hits} réenvois · expire après ${stats.ttlDays} j`
+  },
+  cacheInvalidated(count) {
+    return count ? `${count} version${count === 1 ? '' : 's'} virée${count === 1 ? '' : 's'} du cache` : 'rien en cache pour ce track'
+  },
+  cacheCleared(count) {
+    return `cache vidé (${count} fichier${count === 1 ? '' : 's'})`
+  },
   adminErrorNotice(text) {
     return `⚠️ Node error:\n${text}`
   },
+  spectrogramEnabled() {
+    return 'spectro activé, je te l’envoie avec chaque track'
+  },
+  spectrogramDisabled() {
+    return 'spectro désactivé, juste le son maintenant'
+  },
+  spectrogramCaption(cutoffHz) {
+    if (!cutoffHz) return 'Spectro'
+    return `Spectro (coupure ~${(cutoffHz / 1000).toFixed(1)} kHz)`
+  },
+  formatCurrent(format) {
+    return `format actuel: ${format}. usage: /format aiff|wav|flac|mp3|original (ou ajoute le format après ton lien)`
+  },
+  formatUpdated(format) {
+    return `ok, je t’envoie tout en ${format} maintenant`
+  },
+  formatInvalid() {
+    return 'format inconnu bb, choisis aiff, wav, flac, mp3 ou original'
+  },
+  transcodedNotice(label, lossySource) {
+    if (lossySource) {
+      return `⚠️ Converti en ${label} depuis une source lossy: pas plus de qualité que l’original`
+    }
+    return `Converti en ${label}`
+  },
+  transcodeSkipped(label, ext) {
+    return `le fichier est déjà en ${ext}, je l’envoie tel quel (pas reconverti en ${label}: réencoder rajouterait pas de qualité)`
+  },
+  transcodeFailed(label) {
+    return `conversion en ${label} ratée, je t’envoie le fichier d’origine`
+  },
   userIdResponse(id) {
     return `ton user id: ${id}`
   },
   genericError() {
     return 'dsl je trouve pas ton bail, check ton lien.'
   },
-  queueFull() {
+  quotaExceeded(blocked) {
+    const window = this.quotaWindowLabel(blocked.windowMs)
+    return `t’as atteint ta limite (${blocked.limit} downloads / ${window}) bb. prochain download possible à ${this.quotaResetTime(blocked.resetAt)}.`
+  },
+  quotaStatus(status) {
+    if (status.exempt) return 'pas de limite pour toi, profite'
+    const lines = status.windows.map(window => {
+      const label = this.quotaWindowLabel(window.windowMs)
+      if (!window.limit) return `• ${label}: illimité`
+      const reset = window.resetAt ? ` (place libérée à ${this.quotaResetTime(window.resetAt)})` : ''
+      return `• ${label}: ${window.remaining}/${window.limit} restants${reset}`
+    })
+    return ['ton quota:', ...lines, 'les tracks déjà en cache comptent pas.'].join('\n')
+  },
+  quotaWindowLabel(windowMs) {
+    if (windowMs >= 24 * 60 * 60 * 1000) return '24 h'
+    if (windowMs >= 60 * 60 * 1000) return `${Math.round(windowMs / (60 * 60 * 1000))} h`
+    if (windowMs >= 60 * 1000) return `${Math.round(windowMs / (60 * 1000))} min`
+    return `${Math.round(windowMs / 1000)} s`
+  },
+  quotaResetTime(timestamp) {
+    const date = new Date(timestamp)
+    const time = date.toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' })
+    return date.toDateString() === new Date().toDateString() ? time : `demain ${time}`
+  },
+  setQuotaUsage() {
+    return 'usage: /setquota <user id> daily=N hourly=N burst=N (0 = illimité) | exempt | unexempt | default'
+  },
+  quotaLimitsUpdated(userId, limits) {
+    if (limits.exempt) return `${userId}: exempté de quota`
+    const value = limit => (limit ? limit : 'illimité')
+    const source = limits.custom ? 'perso' : 'par défaut'
+    return `${userId}: ${value(limits.daily)}/24 h, ${value(limits.hourly)}/h, burst ${value(limits.burst)} (${source})`
+  },
+  userBanned() {
+    return "t'es banni de ce bot bb"
+  },
+  usersList(records) {
+    if (!records.length) return 'aucun user enregistré'
+    return records.map(record => this.userSummary(record)).join('\n')
+  },
+  userSummary(record) {
+    const name = record.username ? `@${record.username}` : record.firstName || 'sans nom'
+    const status = {
+      authorized: record.expiresAt ? `✅ jusqu'au ${this.shortDate(record.expiresAt)}` : '✅',
+      expired: '⌛ expiré',
+      revoked: '⛔ révoqué',
+      banned: '🚫 banni'
+    }[record.status]
+    const seen = record.lastSeenAt ? `vu ${this.shortDate(record.lastSeenAt)}` : 'jamais vu'
+    return `${record.id} ${name} ${status} · ${record.downloads} DL · ${seen}`
+  },
+  userDetails(record) {
+    const lines = [
+      this.userSummary(record),
+      `autorisé depuis: ${record.joinedAt ? this.shortDate(record.joinedAt) : 'inconnu'}`
+    ]
+    if (record.invitedBy) {
+      lines.push(`invité par ${record.invitedBy} (code ${record.inviteCode})`)
+    }
+    if (record.status === 'banned') {
+      lines.push(`banni le ${this.shortDate(record.bannedAt)}${record.banReason ? `: ${record.banReason}` : ''}`)
+    }
+    return lines.join('\n')
+  },
+  shortDate(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 16).replace('T', ' ')
+  },
+  userNotFound(value) {
+    return `user ${value} inconnu`
+  },
+  userCommandUsage(command) {
+    if (command === 'ban') return 'usage: /ban <user id> [raison]'
+    if (command === 'whois') return 'usage: /whois <user id | @username>'
+    return `usage: /${command} <user id>`
+  },
+  userRevoked(userId) {
+    return `${userId} révoqué, il devra redonner le mot de passe`
+  },
+  userBannedByAdmin(userId) {
+    return `${userId} banni`
+  },
+  userUnbanned(userId) {
+    return `${userId} débanni (il devra redonner le mot de passe)`
+  },
+  cannotTargetAdmin() {
+    return 'on touche pas aux admins bb'
+  },
+  inviteUsage() {
+    return 'usage: /invite [utilisations] [durée: 12h, 7d, 2w] [access=durée] | /invite list | /invite revoke <code>'
+  },
+  inviteCreated(invite, link) {
+    const uses = invite.maxUses === 1 ? 'usage unique' : `${invite.maxUses} utilisations`
+    const expiry = invite.expiresAt ? `, expire ${this.shortDate(invite.expiresAt)}` : ''
+    const access = invite.accessMs ? `, accès ${this.durationLabel(invite.accessMs)}` : ''
+    return `code ${invite.code} (${uses}${expiry}${access})\n${link}`
+  },
+  durationLabel(ms) {
+    const hours = Math.round(ms / (60 * 60 * 1000))
+    return hours % 24 === 0 ? `${hours / 24} j` : `${hours} h`
+  },
+  accessExpiringSoon(expiresAt) {
+    return `ton accès expire le ${this.shortDate(expiresAt)} (UTC) bb, demande à un admin de le prolonger`
+  },
+  accessExpired() {
+    return "ton accès a expiré bb. renvoie le mdp ou un code d'invit pour revenir"
+  },
+  extendUsage() {
+    return 'usage: /extend <user id | @username> <durée: 12h, 30d, 2w | never>'
+  },
+  accessExtended(record) {
+    return record.expiresAt
+      ? `${record.id}: accès jusqu'au ${this.shortDate(record.expiresAt)}`
+      : `${record.id}: accès sans limite`
+  },
+  invitesList(invites) {
+    if (!invites.length) return 'aucune invit active'
+    return invites
+      .map(invite => {
+        const expiry = invite.expiresAt ? ` · expire ${this.shortDate(invite.expiresAt)}` : ''
+        return `${invite.code} · ${invite.redemptions.length}/${invite.maxUses} · par ${invite.createdBy}${expiry}`
+      })
+      .join('\n')
+  },
+  inviteRevoked(code) {
+    return `invit ${code} révoquée`
+  },
+  inviteNotFound(code) {
+    return `invit ${code} introuvable ou déjà révoquée`
+  },
+  inviteAccepted() {
+    return 'invit acceptée, bienvenue bb'
+  },
+  inviteInvalid() {
+    return "ce code d'invit marche pas bb"
+  },
+  inviteExpired() {
+    return "ce code d'invit a expiré, demande-en un autre"
+  },
+  inviteUsedUp() {
+    return "ce code d'invit a déjà servi, demande-en un autre"
+  },
+  exportUsage() {
+    return 'usage: /export [csv|json] [from=AAAA-MM-JJ] [to=AAAA-MM-JJ] [user=<id | @username>] [type=download,download_failed,...]'
+  },
+  exportEmpty() {
+    return 'rien dans le journal pour ces filtres'
+  },
+  exportCaption(count) {
+    return `${count} événement${count === 1 ? '' : 's'}`
+  },
+  statsUsage() {
+    return 'usage: /stats [période: 24h, 7d, 4w] (7d par défaut)'
+  },
+  statsReport(title, stats, userLabel) {
+    const lines = [title, '', `⬇️ ${stats.downloads} dl`]
+    if (stats.buckets.length > 1) {
+      stats.buckets.forEach(bucket => {
+        const label = stats.bucketSize === 'week' ? 'sem. du ' : ''
+        lines.push(`   ${label}${this.shortDate(bucket.start).slice(0, 10)}: ${bucket.count}`)
+      })
+    }
+    if (stats.topUsers.length) {
+      lines.push('', '👤 top users')
+      stats.topUsers.forEach(({ userId, count }) => lines.push(`   ${userLabel(userId)}: ${count}`))
+    }
+    if (stats.topArtists.length) {
+      lines.push('', '🎤 top artistes')
+      stats.topArtists.forEach(({ artist, count }) => lines.push(`   ${artist}: ${count}`))
+    }
+    lines.push('', `❌ ${stats.failures} échecs (${this.percent(stats.failureRate)})`)
+    stats.failuresByCode.forEach(({ code, count }) => lines.push(`   ${code}: ${count}`))
+    lines.push(
+      '',
+      `⏳ attente moyenne: ${this.seconds(stats.averageQueueWaitMs)}`,
+      `🔬 analyse moyenne: ${this.seconds(stats.averageAnalysisMs)}`,
+      `🕵️ fakes: ${this.percent(stats.fakeShare)} · bas débit: ${this.percent(stats.lowBitrateShare)} (sur ${stats.analyzed} analysés)`
+    )
+    return lines.join('\n')
+  },
+  statsTitle(periodMs) {
+    return `📊 stats sur ${this.durationLabel(periodMs)}`
+  },
+  dailyDigestTitle() {
+    return '📊 récap des dernières 24 h'
+  },
+  percent(ratio) {
+    return ratio === null ? '-' : `${Math.round(ratio * 1000) / 10}%`
+  },
+  seconds(ms) {
+    return ms === null ? '-' : `${(ms / 1000).toFixed(1)} s`
+  },
+  historyEmpty() {
+    return "t'as encore rien téléchargé bb"
+  },
+  historyPage(entries, offset, page, pageCount) {
+    const lines = entries.map((entry, index) => {
+      const name = [entry.artist, entry.title].filter(Boolean).join(' - ') || entry.url || '?'
+      const format = entry.format ? entry.format.toUpperCase() : 'original'
+      const verdict = entry.verdictLabel ? ` · ${entry.verdictLabel}` : ''
+      return `${offset + index + 1}. ${name}\n   ${this.shortDate(entry.deliveredAt)} · ${format}${verdict}`
+    })
+    return `historique (page ${page + 1}/${pageCount})\n\n${lines.join('\n')}`
+  },
+  historyResendButton(number) {
+    return `🔁 ${number}`
+  },
+  historyPrevButton() {
+    return '◀️'
+  },
+  historyNextButton() {
+    return '▶️'
+  },
+  historyResending() {
+    return 'je te le renvoie'
+  },
+  historyEntryGone() {
+    return 'je retrouve plus ce track dans ton historique'
+  },
+  historyLocked() {
+    return "t'as plus accès au bot bb"
+  },
+  queueBusy() {
     return 'trop de demandes rn, reviens dans une minute bb'
   },
+  queueFull() {
+    return 't’as déjà trop de trucs dans la file, attends que ça passe bb'
+  },
   captionDefault() {
     return 'Enjoy bb!'
   },
@@ -88,12 +546,36 @@ module.exports = {
   qualityLine(text) {
     return `Qualité approx: ${text}`
   },
+  tempoKeyLine(bpm, key) {
+    const parts = []
+    if (bpm) parts.push(`${bpm} BPM`)
+    if (key) parts.push(`${key.camelot} / ${key.name}`)
+    return parts.join(' · ')
+  },
+  loudnessLine(loudness) {
+    const parts = [`${loudness.integrated_lufs.toFixed(1)} LUFS`]
+    if (Number.isFinite(loudness.loudness_range_lu)) {
+      parts.push(`LRA ${loudness.loudness_range_lu.toFixed(1)} LU`)
+    }
+    if (Number.isFinite(loudness.true_peak_dbtp)) {
+      const peak = loudness.true_peak_dbtp
+      parts.push(`TP ${peak > 0 ? '+' : ''}${peak.toFixed(1)} dBTP`)
+    }
+    if (loudness.clipped_samples) {
+      parts.push(`${loudness.clipped_samples} samples clippés`)
+    }
+    return `Loudness: ${parts.join(' · ')}`
+  },
   qualityFallbackLabel() {
     return QUALITY_VERDICTS.fallback
   },
   qualityVerdict(key, fallbackLabel) {
     return QUALITY_VERDICTS[key] || fallbackLabel || QUALITY_VERDICTS.unknown
   },
+  qualitySummary(label, cutoffHz, confidence) {
+    const cutoff = (cutoffHz / 1000).toFixed(1)
+    return `${label} (coupure ~${cutoff} kHz, confiance ${Math.round(confidence * 100)}%)`
+  },
   bitrateLine(measured, source, warning) {
     return warning || ''
   },
@@ -123,6 +605,33 @@ module.exports = {
   opusOnlyMessage() {
     return 'Impossible de DL en opus bb, trouve une autre version.'
   },
+  privateTrack() {
+    return "ce track est privé bb, j'y ai pas accès."
+  },
+  trackNotFound() {
+    return 'ce track existe plus (supprimé ou lien cassé).'
+  },
+  geoBlocked() {
+    return 'ce track est bloqué dans notre pays :('
+  },
+  trackForbidden() {
+    return "soundcloud me refuse ce track (Go+ ou accès restreint), j'peux pas le dl bb."
+  },
+  authTokenInvalid() {
+    return 'mon accès soundcloud a expiré, les admins vont régler ça. réessaie plus tard bb.'
+  },
+  rateLimited() {
+    return 'soundcloud me limite rn, réessaie dans quelques minutes.'
+  },
+  unsupportedUrl() {
+    return 'je sais pas lire ce lien, envoie un lien de track soundcloud.'
+  },
+  ffmpegMissing() {
+    return 'ffmpeg manque sur le serveur, préviens un admin.'
+  },
+  previewOnly() {
+    return "SoundCloud m'a filé que la preview de 30 s (Go+), je t'envoie pas un track coupé."
+  },
   missingAudioFile() {
     return 'SoundCloud did not provide an audio file for that link. Please try another track.'
   }
@@ -0,0 +1,122 @@
+'use strict'
+
+// In-process metrics rendered in the Prometheus text format for /metrics.
+// Counters and histograms live here; gauges are read from their owner (the
+// task queues) when the metrics are scraped.
+const METRICS = {
+  keson_queue_pending: { type: 'gauge', help: 'Tasks waiting for a worker slot.' },
+  keson_queue_active: { type: 'gauge', help: 'Tasks currently running.' },
+  keson_queue_workers: { type: 'gauge', help: 'Worker slots of the queue.' },
+  keson_job_stage_duration_seconds: {
+    type: 'histogram',
+    help: 'Time spent in each download job stage.'
+  },
+  keson_ytdlp_exits_total: { type: 'counter', help: 'yt-dlp runs by exit code.' },
+  keson_quality_verdicts_total: { type: 'counter', help: 'Quality analysis verdicts.' },
+  keson_telegram_api_errors_total: {
+    type: 'counter',
+    help: 'Failed Telegram Bot API calls by method and error code.'
+  }
+}
+
+// Seconds; job stages range from a near-instant queue pick-up to long
+// re-encodes.
+const HISTOGRAM_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600]
+
+// name -> Map(labelKey -> { labels, value }) for counters,
+// name -> Map(labelKey -> { labels, counts, sum, count }) for histograms.
+const series = new Map()
+// name -> () => [{ labels, value }]
+const gaugeCollectors = new Map()
+
+function incrementCounter(name, labels = {}, by = 1) {
+  const entry = seriesEntry(name, labels, () => ({ value: 0 }))
+  entry.value += by
+}
+
+function observeHistogram(name, labels, value) {
+  if (!Number.isFinite(value)) return
+  const entry = seriesEntry(name, labels, () => ({
+    counts: HISTOGRAM_BUCKETS.map(() => 0),
+    sum: 0,
+    count: 0
+  }))
+  HISTOGRAM_BUCKETS.forEach((bound, index) => {
+    if (value <= bound) entry.counts[index] += 1
+  })
+  entry.sum += value
+  entry.count += 1
+}
+
+/**
+ * Read a gauge from `collect()` (returning [{ labels, value }]) at scrape
+ * time. Registering the same name again adds to what it reports.
+ */
+function registerGauge(name, collect) {
+  assertKnownMetric(name)
+  const collectors = gaugeCollectors.get(name) || []
+  collectors.push(collect)
+  gaugeCollectors.set(name, collectors)
+}
+
+function renderMetrics() {
+  const lines = []
+  Object.entries(METRICS).forEach(([name, { type, help }]) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`)
+    if (type === 'gauge') {
+      const collectors = gaugeCollectors.get(name) || []
+      collectors.forEach(collect => {
+        collect().forEach(({ labels, value }) => {
+          lines.push(`${name}${formatLabels(labels)} ${value}`)
+        })
+      })
+      return
+    }
+    const entries = series.get(name)?.values() || []
+    for (const entry of entries) {
+      if (type === 'counter') {
+        lines.push(`${name}${formatLabels(entry.labels)} ${entry.value}`)
+        continue
+      }
+      HISTOGRAM_BUCKETS.forEach((bound, index) => {
+        const labels = formatLabels({ ...entry.labels, le: String(bound) })
+        lines.push(`${name}_bucket${labels} ${entry.counts[index]}`)
+      })
+      lines.push(
+        `${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`,
+        `${name}_sum${formatLabels(entry.labels)} ${entry.sum}`,
+        `${name}_count${formatLabels(entry.labels)} ${entry.count}`
+      )
+    }
+  })
+  return `${lines.join('\n')}\n`
+}
+
+function seriesEntry(name, labels, create) {
+  assertKnownMetric(name)
+  if (!series.has(name)) series.set(name, new Map())
+  const entries = series.get(name)
+  const key = JSON.stringify(Object.entries(labels).sort())
+  if (!entries.has(key)) entries.set(key, { labels: { ...labels }, ...create() })
+  return entries.get(key)
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels || {}).map(
+    ([key, value]) => `${key}="${String(value).replace(/[\\"]/g, '\\$&').replace(/\n/g, '\\n')}"`
+  )
+  return pairs.length ? `{${pairs.join(',')}}` : ''
+}
+
+function assertKnownMetric(name) {
+  if (!Object.prototype.hasOwnProperty.call(METRICS, name)) {
+    throw new Error(`Unknown metric: ${name}`)
+  }
+}
+
+module.exports = {
+  incrementCounter,
+  observeHistogram,
+  registerGauge,
+  renderMetrics
+}
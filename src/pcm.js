@@ -0,0 +1,85 @@
+'use strict'
+
+const { spawn } = require('node:child_process')
+const { FFMPEG_PATH } = require('./config')
+
+const PCM_SAMPLE_RATE = 44100
+const BYTES_PER_SAMPLE = 4
+
+/**
+ * Decode the first audio stream of `filePath` to mono 32-bit float PCM with
+ * ffmpeg and feed every chunk to each consumer's `push(samples)`.
+ * Resolves once ffmpeg exits cleanly; consumers keep their own state.
+ */
+function streamPcm(filePath, consumers, opts = {}) {
+  const sampleRate = opts.sampleRate || PCM_SAMPLE_RATE
+  const args = [
+    '-v',
+    'error',
+    '-nostdin',
+    '-i',
+    filePath,
+    '-map',
+    '0:a:0',
+    '-ac',
+    '1',
+    '-ar',
+    String(sampleRate),
+    '-f',
+    'f32le',
+    '-'
+  ]
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(FFMPEG_PATH, args, {
+      stdio: ['ignore', 'pipe', 'pipe'],
+      signal: opts.signal
+    })
+    let leftover = null
+    let stderr = ''
+    let failed = false
+
+    const fail = error => {
+      if (failed) return
+      failed = true
+      child.kill('SIGKILL')
+      reject(error)
+    }
+
+    child.stdout.on('data', chunk => {
+      if (failed) return
+      const bytes = leftover ? Buffer.concat([leftover, chunk]) : chunk
+      const usable = bytes.length - (bytes.length % BYTES_PER_SAMPLE)
+      leftover = usable < bytes.length ? bytes.subarray(usable) : null
+      if (!usable) return
+
+      // Copy into a fresh buffer so the Float32Array view is always aligned.
+      const samples = new Float32Array(usable / BYTES_PER_SAMPLE)
+      new Uint8Array(samples.buffer).set(bytes.subarray(0, usable))
+      try {
+        consumers.forEach(consumer => consumer.push(samples))
+      } catch (error) {
+        fail(error)
+      }
+    })
+    child.stderr.on('data', chunk => {
+      stderr += chunk.toString()
+    })
+    child.on('error', fail)
+    child.on('close', code => {
+      if (failed) return
+      if (code !== 0) {
+        const error = new Error(`${FFMPEG_PATH} exited with ${code}`)
+        error.stderr = stderr
+        fail(error)
+        return
+      }
+      resolve({ sampleRate })
+    })
+  })
+}
+
+module.exports = {
+  PCM_SAMPLE_RATE,
+  streamPcm
+}
@@ -0,0 +1,73 @@
+'use strict'
+
+const { FFPROBE_PATH } = require('./config')
+const messages = require('./messages')
+const { spawnCollect } = require('./utils')
+
+// yt-dlp tags SoundCloud's 30-second Go+ snippets with "preview" in the id.
+const PREVIEW_FORMAT_PATTERN = /preview/i
+// Allow for encoder padding and rounding before calling a file truncated.
+const DURATION_TOLERANCE_RATIO = 0.9
+const DURATION_TOLERANCE_SECONDS = 10
+
+function isPreviewOnly(info) {
+  const formats = Array.isArray(info?.formats) ? info.formats : []
+  if (!formats.length) return false
+  return formats.every(format => PREVIEW_FORMAT_PATTERN.test(format?.format_id || ''))
+}
+
+/**
+ * Throw a PREVIEW_ONLY error when the downloaded file is a Go+ snippet: either
+ * yt-dlp picked a preview format, or the decoded duration falls well short of
+ * the duration SoundCloud reports for the track.
+ */
+async function assertFullTrack(filePath, metadata) {
+  const expected = Number(metadata?.duration)
+  if (PREVIEW_FORMAT_PATTERN.test(metadata?.format_id || '') || isPreviewOnly(metadata)) {
+    throw createPreviewError(null, expected)
+  }
+
+  if (!Number.isFinite(expected) || expected <= 0) return
+  const actual = await probeDurationSeconds(filePath)
+  if (actual === null) return
+
+  const truncated =
+    actual < expected * DURATION_TOLERANCE_RATIO &&
+    expected - actual > DURATION_TOLERANCE_SECONDS
+  if (truncated) {
+    throw createPreviewError(actual, expected)
+  }
+}
+
+async function probeDurationSeconds(filePath) {
+  try {
+    const { stdout } = await spawnCollect(FFPROBE_PATH, [
+      '-v',
+      'error',
+      '-show_entries',
+      'format=duration',
+      '-of',
+      'default=nk=1:nw=1',
+      filePath
+    ])
+    const value = Number(stdout.trim())
+    return Number.isFinite(value) && value > 0 ? value : null
+  } catch (error) {
+    console.warn('Unable to probe file duration:', error?.message || error)
+    return null
+  }
+}
+
+function createPreviewError(actual, expected) {
+  const detail =
+    actual === null ? 'preview format' : `${Math.round(actual)}s of ${Math.round(expected)}s`
+  const err = new Error(`SoundCloud only delivered a Go+ preview (${detail}).`)
+  err.code = 'PREVIEW_ONLY'
+  err.userMessage = messages.previewOnly()
+  return err
+}
+
+module.exports = {
+  assertFullTrack,
+  isPreviewOnly
+}
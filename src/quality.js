@@ -1,31 +1,55 @@
 'use strict'
 
-const path = require('node:path')
-const { spawn } = require('node:child_process')
+const fsp = require('node:fs/promises')
 const messages = require('./messages')
 const {
   ENABLE_QUALITY_ANALYSIS,
   FFPROBE_PATH,
   QUALITY_ANALYSIS_DEBUG
 } = require('./config')
+const { createClipCounter, measureLoudness } = require('./loudness')
+const { PCM_SAMPLE_RATE, streamPcm } = require('./pcm')
+const { classifySpectrum, createSpectrumAnalyzer } = require('./spectrum')
+const { renderSpectrogram } = require('./spectrogram')
+const { createKeyAnalyzer, createTempoAnalyzer } = require('./tempo-key')
+const { spawnCollect } = require('./utils')
 const LOW_BITRATE_THRESHOLD = 256
 
 /**
- * Analyze bitrate using the external Python CLI "whatsmybitrate".
- * Returns { bitrate_kbps, source_bitrate_kbps, warning, text } or null.
+ * Decode the file with ffmpeg and run the spectral cutoff analysis in-process,
+ * then add the ffprobe container bitrate for the drop/low bitrate warnings
+ * and the EBU R128 loudness report. Tempo and key are estimated from the same
+ * decoded PCM. When `opts.spectrogramPath` is set, a spectrogram PNG is
+ * written there.
+ * Returns { verdict, verdict_label, confidence, cutoff_hz, bitrate_kbps,
+ * source_bitrate_kbps, loudness, bpm, key, spectrogram_path, warning, text }
+ * or null.
  */
-async function analyzeTrackQuality(filePath, metadata) {
+async function analyzeTrackQuality(filePath, metadata, opts = {}) {
   if (!ENABLE_QUALITY_ANALYSIS) return null
 
-  const measured = await measureBitrateKbps(filePath)
-  if (!measured) return null
+  const [decoded, measured, ebur128] = await Promise.all([
+    analyzePcm(filePath, metadata, Boolean(opts.spectrogramPath), opts.signal),
+    probeBitrateWithFfprobe(filePath, opts.signal),
+    probeLoudness(filePath, opts.signal)
+  ])
+  const spectrum = decoded?.spectrum || null
+  if (!decoded && !measured && !ebur128) return null
+
+  const loudness = ebur128
+    ? { ...ebur128, clipped_samples: decoded ? decoded.clippedSamples : null }
+    : null
+
+  const spectrogramPath = opts.spectrogramPath
+    ? await writeSpectrogram(spectrum, opts.spectrogramPath)
+    : null
 
   const source = pickSourceBitrate(metadata)
   const trackLabel = describeTrack(metadata)
 
   let warning = null
-  const hasDropIssue = source && measured + 5 < source
-  const hasLowIssue = measured < LOW_BITRATE_THRESHOLD
+  const hasDropIssue = measured && source && measured + 5 < source
+  const hasLowIssue = measured && measured < LOW_BITRATE_THRESHOLD
 
   if (hasDropIssue) {
     warning = messages.bitrateDropWarning(trackLabel, measured, source)
@@ -33,16 +57,81 @@ async function analyzeTrackQuality(filePath, metadata) {
     warning = messages.lowBitrateWarning(trackLabel, measured, LOW_BITRATE_THRESHOLD)
   }
 
-  const text = warning || null
+  const verdict = spectrum ? classifySpectrum(spectrum, metadata) : 'fallback'
+  const verdictLabel = messages.qualityVerdict(verdict, messages.qualityFallbackLabel())
+  let text = null
+  if (spectrum) {
+    text = messages.qualitySummary(verdictLabel, spectrum.cutoffHz, spectrum.confidence)
+  } else if (measured) {
+    text = verdictLabel
+  }
 
   return {
+    verdict,
+    verdict_label: verdictLabel,
+    confidence: spectrum ? spectrum.confidence : null,
+    cutoff_hz: spectrum ? spectrum.cutoffHz : null,
     bitrate_kbps: measured,
     source_bitrate_kbps: source,
+    loudness,
+    bpm: decoded?.bpm || null,
+    key: decoded?.key || null,
+    spectrogram_path: spectrogramPath,
     warning,
     text
   }
 }
 
+async function analyzePcm(filePath, metadata, keepColumns, signal) {
+  const durationSeconds = Number(metadata?.duration)
+  const analyzer = createSpectrumAnalyzer({
+    sampleRate: PCM_SAMPLE_RATE,
+    durationSeconds,
+    keepColumns
+  })
+  const clipCounter = createClipCounter()
+  const tempoAnalyzer = createTempoAnalyzer({ sampleRate: PCM_SAMPLE_RATE })
+  const keyAnalyzer = createKeyAnalyzer({ sampleRate: PCM_SAMPLE_RATE, durationSeconds })
+  try {
+    await streamPcm(filePath, [analyzer, clipCounter, tempoAnalyzer, keyAnalyzer], {
+      sampleRate: PCM_SAMPLE_RATE,
+      signal
+    })
+  } catch (error) {
+    qualityDebug('ffmpeg PCM decode failed:', error)
+    return null
+  }
+  const spectrum = analyzer.result()
+  const bpm = tempoAnalyzer.result()
+  const key = keyAnalyzer.result()
+  qualityDebug('Spectral analysis result:', spectrum && { ...spectrum, columns: undefined })
+  qualityDebug('Tempo/key estimate:', bpm, key)
+  return { spectrum, clippedSamples: clipCounter.result(), bpm, key }
+}
+
+async function probeLoudness(filePath, signal) {
+  try {
+    const loudness = await measureLoudness(filePath, { signal })
+    qualityDebug('EBU R128 loudness:', loudness)
+    return loudness
+  } catch (error) {
+    qualityDebug('ffmpeg ebur128 measurement failed:', error)
+    return null
+  }
+}
+
+async function writeSpectrogram(spectrum, targetPath) {
+  try {
+    const png = renderSpectrogram(spectrum)
+    if (!png) return null
+    await fsp.writeFile(targetPath, png)
+    return targetPath
+  } catch (error) {
+    console.warn('Spectrogram rendering failed:', error)
+    return null
+  }
+}
+
 function pickSourceBitrate(metadata) {
   if (!metadata || typeof metadata !== 'object') return null
   const candidates = [
@@ -70,41 +159,13 @@ function describeTrack(metadata) {
   return 'ce track'
 }
 
-async function measureBitrateKbps(filePath) {
-  const wmbPath = path.join(__dirname, '..', 'bin', 'whatsmybitrate-json')
-  // First try vendored whatsmybitrate wrapper
-  const pythonRes = await trySpawnPython(wmbPath, filePath)
-  if (pythonRes !== null) return pythonRes
-  // Fallback to ffprobe average bitrate
-  return await probeBitrateWithFfprobe(filePath)
-}
-
-async function trySpawnPython(scriptPath, filePath) {
+async function probeBitrateWithFfprobe(filePath, signal) {
   try {
-    const { stdout } = await spawnCollect('python3', [scriptPath, filePath])
-    const parsed = parseMaybeJson(stdout)
-    const kbps =
-      extractKbps(parsed?.estimated_bitrate_numeric) ||
-      extractKbps(parsed?.estimated_bitrate) ||
-      extractKbps(parsed?.bit_rate)
-    return kbps || null
-  } catch (error) {
-    qualityDebug('whatsmybitrate-json failed:', error)
-    return null
-  }
-}
-
-async function probeBitrateWithFfprobe(filePath) {
-  try {
-    const { stdout } = await spawnCollect(FFPROBE_PATH, [
-      '-v',
-      'error',
-      '-show_entries',
-      'format=bit_rate',
-      '-of',
-      'default=nk=1:nw=1',
-      filePath
-    ])
+    const { stdout } = await spawnCollect(
+      FFPROBE_PATH,
+      ['-v', 'error', '-show_entries', 'format=bit_rate', '-of', 'default=nk=1:nw=1', filePath],
+      { signal }
+    )
     const val = Number(stdout.trim())
     if (Number.isFinite(val) && val > 0) {
       return Math.round(val / 1000)
@@ -115,74 +176,6 @@ async function probeBitrateWithFfprobe(filePath) {
   return null
 }
 
-function parseMaybeJson(text) {
-  if (!text) return null
-  try {
-    return JSON.parse(text)
-  } catch {
-    return null
-  }
-}
-
-function extractKbps(value) {
-  if (!value) return null
-  if (typeof value === 'number' && Number.isFinite(value)) {
-    return Math.round(value)
-  }
-  if (typeof value === 'string') {
-    const match = value.match(/(\d+(?:\.\d+)?)\s*k(?:bit|b)ps/i)
-    if (match) return Math.round(Number(match[1]))
-    const num = Number(value)
-    if (Number.isFinite(num)) return Math.round(num)
-    return null
-  }
-  if (typeof value === 'object') {
-    const fields = [
-      'kbps',
-      'bitrate',
-      'bitRate',
-      'audioBitrate',
-      'audio_bitrate',
-      'bit_rate',
-      'averageBitrate',
-      'avgBitrate',
-      'bit_rate_numeric',
-      'bit_rate_numeric_kbps'
-    ]
-    for (const key of fields) {
-      const v = value[key]
-      const n = typeof v === 'string' ? Number(v) : v
-      if (Number.isFinite(n)) return Math.round(n)
-    }
-  }
-  return null
-}
-
-function spawnCollect(cmd, args) {
-  return new Promise((resolve, reject) => {
-    const child = spawn(cmd, args, { stdio: ['ignore', 'pipe', 'pipe'] })
-    let stdout = ''
-    let stderr = ''
-
-    child.stdout.on('data', chunk => {
-      stdout += chunk.toString()
-    })
-    child.stderr.on('data', chunk => {
-      stderr += chunk.toString()
-    })
-    child.on('error', reject)
-    child.on('close', code => {
-      if (code !== 0) {
-        const error = new Error(`${cmd} exited with ${code}`)
-        error.stdout = stdout
-        error.stderr = stderr
-        return reject(error)
-      }
-      resolve({ stdout, stderr })
-    })
-  })
-}
-
 function qualityDebug(...args) {
   if (!QUALITY_ANALYSIS_DEBUG) return
   console.debug('[quality]', ...args)
@@ -190,5 +183,6 @@ function qualityDebug(...args) {
 
 module.exports = {
   analyzeTrackQuality,
+  pickSourceBitrate,
   qualityDebug
 }
@@ -1,20 +1,110 @@
 'use strict'
 
-function createTaskQueue(desiredConcurrency, maxQueueSize = Infinity) {
+// Lower runs first. Single tracks and admin jobs should never wait behind
+// bulk playlist work.
+const QUEUE_PRIORITIES = {
+  high: 0,
+  normal: 1,
+  low: 2
+}
+
+const SHARED_QUEUE_KEY = '*'
+
+/**
+ * Task queue with `desiredConcurrency` worker slots. Waiting tasks live in
+ * per-user sub-queues: the highest priority waiting anywhere goes first, and
+ * users with work at that priority are served round-robin so one user's
+ * backlog cannot starve the others. `maxPendingPerUser` caps how many tasks a
+ * single user may have waiting and `maxPending` how many may wait in total;
+ * past either, `add` rejects with QUEUE_FULL.
+ */
+function createTaskQueue(desiredConcurrency, maxPendingPerUser = Infinity, maxPending = Infinity) {
   const limit = Number.isFinite(desiredConcurrency) && desiredConcurrency > 0
     ? desiredConcurrency
     : Infinity
-  const queueLimit = Number.isFinite(maxQueueSize) && maxQueueSize >= 0
-    ? maxQueueSize
+  const userLimit = Number.isFinite(maxPendingPerUser) && maxPendingPerUser >= 0
+    ? maxPendingPerUser
     : Infinity
+  const queueLimit = Number.isFinite(maxPending) && maxPending >= 0 ? maxPending : Infinity
   let active = 0
-  const queue = []
+  // userKey -> waiting entries; `ring` is the round-robin order of users.
+  const waiting = new Map()
+  const ring = []
+  let cursor = 0
+
+  const pickNext = (queues, users, start) => {
+    let best = null
+    queues.forEach(entries => {
+      entries.forEach(entry => {
+        if (!best || entry.priority < best.priority) best = entry
+      })
+    })
+    if (!best) return null
+    for (let offset = 0; offset < users.length; offset++) {
+      const index = (start + offset) % users.length
+      const entries = queues.get(users[index]) || []
+      const entry = entries.find(candidate => candidate.priority === best.priority)
+      if (entry) return { entry, next: index + 1 }
+    }
+    return null
+  }
+
+  const dispatchOrder = () => {
+    const queues = new Map([...waiting].map(([key, entries]) => [key, [...entries]]))
+    const order = []
+    let start = cursor
+    for (;;) {
+      const picked = pickNext(queues, ring, start)
+      if (!picked) return order
+      order.push(picked.entry)
+      const entries = queues.get(picked.entry.userKey)
+      entries.splice(entries.indexOf(picked.entry), 1)
+      start = picked.next
+    }
+  }
+
+  const notifyPositions = () => {
+    dispatchOrder().forEach((entry, index) => {
+      if (entry.onPosition) entry.onPosition(index + 1)
+    })
+  }
+
+  const countPending = () => {
+    let pending = 0
+    waiting.forEach(entries => {
+      pending += entries.length
+    })
+    return pending
+  }
+
+  const removeEntry = entry => {
+    const entries = waiting.get(entry.userKey)
+    const index = entries ? entries.indexOf(entry) : -1
+    if (index === -1) return false
+    entries.splice(index, 1)
+    if (!entries.length) {
+      waiting.delete(entry.userKey)
+      const ringIndex = ring.indexOf(entry.userKey)
+      ring.splice(ringIndex, 1)
+      if (ringIndex < cursor) cursor -= 1
+    }
+    if (cursor >= ring.length) cursor = 0
+    return true
+  }
 
   const runNext = () => {
-    if (active >= limit || queue.length === 0) {
+    if (active >= limit) {
+      return
+    }
+    const picked = pickNext(waiting, ring, cursor)
+    if (!picked) {
       return
     }
-    const { task, resolve, reject } = queue.shift()
+    const { task, resolve, reject, signal, onAbort } = picked.entry
+    cursor = picked.next
+    removeEntry(picked.entry)
+    if (signal) signal.removeEventListener('abort', onAbort)
+    notifyPositions()
     active += 1
     Promise.resolve()
       .then(task)
@@ -31,19 +121,67 @@ function createTaskQueue(desiredConcurrency, maxQueueSize = Infinity) {
   }
 
   return {
-    add(task) {
-      if (queue.length >= queueLimit) {
+    /**
+     * Snapshot of the queue: running tasks, waiting tasks and worker slots.
+     */
+    stats() {
+      return { active, pending: countPending(), concurrency: limit }
+    },
+
+    /**
+     * Queue `task` for `opts.userId` at `opts.priority` (a QUEUE_PRIORITIES
+     * value, normal by default). `opts.onPosition(position)` is called with
+     * the 1-based place in line while the task waits for a free slot;
+     * aborting `opts.signal` before the task starts drops it from the queue
+     * and rejects with the abort reason.
+     */
+    add(task, opts = {}) {
+      const userKey = opts.userId === undefined ? SHARED_QUEUE_KEY : String(opts.userId)
+      if (countPending() >= queueLimit) {
         const error = new Error('Download queue is full.')
         error.code = 'QUEUE_FULL'
+        error.scope = 'global'
+        return Promise.reject(error)
+      }
+      if ((waiting.get(userKey)?.length || 0) >= userLimit) {
+        const error = new Error('Too many queued jobs for this user.')
+        error.code = 'QUEUE_FULL'
         return Promise.reject(error)
       }
+      if (opts.signal?.aborted) {
+        return Promise.reject(opts.signal.reason)
+      }
 
       return new Promise((resolve, reject) => {
-        queue.push({ task, resolve, reject })
+        const entry = {
+          task,
+          resolve,
+          reject,
+          userKey,
+          priority: Number.isFinite(opts.priority) ? opts.priority : QUEUE_PRIORITIES.normal,
+          onPosition: opts.onPosition,
+          signal: opts.signal
+        }
+        if (entry.signal) {
+          entry.onAbort = () => {
+            if (!removeEntry(entry)) return
+            notifyPositions()
+            reject(entry.signal.reason)
+          }
+          entry.signal.addEventListener('abort', entry.onAbort, { once: true })
+        }
+        if (!waiting.has(userKey)) {
+          waiting.set(userKey, [])
+          ring.push(userKey)
+        }
+        waiting.get(userKey).push(entry)
         runNext()
+        if (waiting.get(userKey)?.includes(entry)) {
+          notifyPositions()
+        }
       })
     }
   }
 }
 
-module.exports = { createTaskQueue }
+module.exports = { QUEUE_PRIORITIES, createTaskQueue }
@@ -0,0 +1,75 @@
+'use strict'
+
+const { loadDocument, saveDocument } = require('./storage')
+
+const DEFAULT_SETTINGS = {
+  spectrogram: true,
+  format: 'original'
+}
+
+const userSettings = new Map()
+let settingsDirty = false
+let persistSettingsTimer
+
+async function loadUserSettingsFromDisk() {
+  try {
+    const parsed = await loadDocument('user-settings')
+    if (parsed && typeof parsed === 'object') {
+      Object.entries(parsed).forEach(([key, value]) => {
+        const id = Number(key)
+        if (Number.isFinite(id) && value && typeof value === 'object') {
+          userSettings.set(id, value)
+        }
+      })
+    }
+  } catch (error) {
+    console.warn('Unable to load user settings:', error)
+  }
+}
+
+function getUserSettings(userId) {
+  return { ...DEFAULT_SETTINGS, ...userSettings.get(userId) }
+}
+
+function updateUserSettings(userId, patch) {
+  const next = { ...userSettings.get(userId), ...patch }
+  userSettings.set(userId, next)
+  scheduleSettingsPersist()
+  return { ...DEFAULT_SETTINGS, ...next }
+}
+
+async function flushUserSettings() {
+  if (persistSettingsTimer) {
+    clearTimeout(persistSettingsTimer)
+    persistSettingsTimer = null
+  }
+  if (!settingsDirty) return
+
+  await persistUserSettings().catch(error => {
+    console.error('Failed to persist user settings during shutdown:', error)
+    throw error
+  })
+}
+
+function scheduleSettingsPersist() {
+  settingsDirty = true
+  if (persistSettingsTimer) return
+  persistSettingsTimer = setTimeout(() => {
+    persistSettingsTimer = null
+    persistUserSettings().catch(error =>
+      console.error('Failed to persist user settings:', error)
+    )
+  }, 250)
+}
+
+async function persistUserSettings() {
+  settingsDirty = false
+  await saveDocument('user-settings', Object.fromEntries(userSettings))
+}
+
+module.exports = {
+  flushUserSettings,
+  getUserSettings,
+  loadUserSettingsFromDisk,
+  updateUserSettings
+}
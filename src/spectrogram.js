@@ -0,0 +1,159 @@
+'use strict'
+
+const { encodePng } = require('./png')
+
+const PLOT_WIDTH = 800
+const PLOT_HEIGHT = 320
+const MARGIN_LEFT = 72
+const MARGIN_RIGHT = 12
+const MARGIN_TOP = 28
+const MARGIN_BOTTOM = 12
+const GLYPH_SCALE = 2
+const DYNAMIC_RANGE_DB = 100
+const TICK_STEP_HZ = 5000
+const BACKGROUND = [16, 16, 20]
+const AXIS_COLOR = [200, 200, 200]
+const CUTOFF_COLOR = [0, 230, 255]
+const PALETTE = [
+  [0, [0, 0, 0]],
+  [0.2, [40, 0, 90]],
+  [0.45, [160, 0, 140]],
+  [0.65, [230, 60, 20]],
+  [0.85, [255, 200, 0]],
+  [1, [255, 255, 220]]
+]
+
+// 5x7 bitmap glyphs for the handful of characters the axis labels need.
+const GLYPHS = {
+  0: ['01110', '10001', '10011', '10101', '11001', '10001', '01110'],
+  1: ['00100', '01100', '00100', '00100', '00100', '00100', '01110'],
+  2: ['01110', '10001', '00001', '00010', '00100', '01000', '11111'],
+  3: ['11110', '00001', '00001', '01110', '00001', '00001', '11110'],
+  4: ['00010', '00110', '01010', '10010', '11111', '00010', '00010'],
+  5: ['11111', '10000', '11110', '00001', '00001', '10001', '01110'],
+  6: ['00110', '01000', '10000', '11110', '10001', '10001', '01110'],
+  7: ['11111', '00001', '00010', '00100', '01000', '01000', '01000'],
+  8: ['01110', '10001', '10001', '01110', '10001', '10001', '01110'],
+  9: ['01110', '10001', '10001', '01111', '00001', '00010', '01100'],
+  '.': ['00000', '00000', '00000', '00000', '00000', '01100', '01100'],
+  k: ['10000', '10000', '10010', '10100', '11000', '10100', '10010'],
+  H: ['10001', '10001', '10001', '11111', '10001', '10001', '10001'],
+  z: ['00000', '00000', '11111', '00010', '00100', '01000', '11111'],
+  ' ': ['00000', '00000', '00000', '00000', '00000', '00000', '00000']
+}
+
+/**
+ * Render the columns collected by `createSpectrumAnalyzer({ keepColumns })`
+ * as a PNG: time on the x axis, 0 Hz to Nyquist on the y axis, kHz labels on
+ * the left and a dashed line at the detected cutoff.
+ */
+function renderSpectrogram(spectrum) {
+  if (!spectrum?.columns?.length) return null
+  const { columns, sampleRate } = spectrum
+  const nyquist = sampleRate / 2
+  const width = MARGIN_LEFT + PLOT_WIDTH + MARGIN_RIGHT
+  const height = MARGIN_TOP + PLOT_HEIGHT + MARGIN_BOTTOM
+  const pixels = Buffer.alloc(width * height * 3)
+  const setPixel = (x, y, [r, g, b]) => {
+    if (x < 0 || y < 0 || x >= width || y >= height) return
+    const offset = (y * width + x) * 3
+    pixels[offset] = r
+    pixels[offset + 1] = g
+    pixels[offset + 2] = b
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) setPixel(x, y, BACKGROUND)
+  }
+
+  let peakDb = -Infinity
+  columns.forEach(column => {
+    if (!column) return
+    for (let i = 0; i < column.length; i++) {
+      if (column[i] > peakDb) peakDb = column[i]
+    }
+  })
+  const floorDb = peakDb - DYNAMIC_RANGE_DB
+
+  for (let x = 0; x < PLOT_WIDTH; x++) {
+    const column = columns[Math.floor((x * columns.length) / PLOT_WIDTH)]
+    for (let y = 0; y < PLOT_HEIGHT; y++) {
+      let level = 0
+      if (column) {
+        const row = Math.floor(((PLOT_HEIGHT - 1 - y) * column.length) / PLOT_HEIGHT)
+        level = clamp((column[row] - floorDb) / DYNAMIC_RANGE_DB, 0, 1)
+      }
+      setPixel(MARGIN_LEFT + x, MARGIN_TOP + y, paletteColor(level))
+    }
+  }
+
+  const freqToY = hz => MARGIN_TOP + Math.round((1 - hz / nyquist) * (PLOT_HEIGHT - 1))
+
+  for (let y = MARGIN_TOP; y < MARGIN_TOP + PLOT_HEIGHT; y++) {
+    setPixel(MARGIN_LEFT - 1, y, AXIS_COLOR)
+  }
+  for (let hz = 0; hz < nyquist; hz += TICK_STEP_HZ) {
+    const y = freqToY(hz)
+    for (let x = MARGIN_LEFT - 6; x < MARGIN_LEFT - 1; x++) setPixel(x, y, AXIS_COLOR)
+    const label = hz === 0 ? '0' : `${hz / 1000}k`
+    const labelX = MARGIN_LEFT - 10 - textWidth(label)
+    drawText(setPixel, label, labelX, y - Math.floor(textHeight() / 2), AXIS_COLOR)
+  }
+  drawText(setPixel, 'kHz', 8, 6, AXIS_COLOR)
+
+  if (spectrum.cutoffHz && !spectrum.fullBand) {
+    const y = freqToY(spectrum.cutoffHz)
+    for (let x = 0; x < PLOT_WIDTH; x++) {
+      if (x % 12 < 8) setPixel(MARGIN_LEFT + x, y, CUTOFF_COLOR)
+    }
+    const label = `${(spectrum.cutoffHz / 1000).toFixed(1)}k`
+    const labelX = MARGIN_LEFT + PLOT_WIDTH - textWidth(label) - 4
+    drawText(setPixel, label, labelX, Math.max(0, y - textHeight() - 4), CUTOFF_COLOR)
+  }
+
+  return encodePng(width, height, pixels)
+}
+
+function drawText(setPixel, text, originX, originY, color) {
+  let cursor = originX
+  for (const char of text) {
+    const glyph = GLYPHS[char] || GLYPHS[' ']
+    glyph.forEach((row, gy) => {
+      for (let gx = 0; gx < row.length; gx++) {
+        if (row[gx] !== '1') continue
+        for (let sy = 0; sy < GLYPH_SCALE; sy++) {
+          for (let sx = 0; sx < GLYPH_SCALE; sx++) {
+            setPixel(cursor + gx * GLYPH_SCALE + sx, originY + gy * GLYPH_SCALE + sy, color)
+          }
+        }
+      }
+    })
+    cursor += 6 * GLYPH_SCALE
+  }
+}
+
+function textWidth(text) {
+  return text.length * 6 * GLYPH_SCALE - GLYPH_SCALE
+}
+
+function textHeight() {
+  return 7 * GLYPH_SCALE
+}
+
+function paletteColor(level) {
+  for (let i = 1; i < PALETTE.length; i++) {
+    const [stop, color] = PALETTE[i]
+    if (level <= stop) {
+      const [prevStop, prevColor] = PALETTE[i - 1]
+      const t = (level - prevStop) / (stop - prevStop)
+      return color.map((channel, c) => Math.round(prevColor[c] + (channel - prevColor[c]) * t))
+    }
+  }
+  return PALETTE[PALETTE.length - 1][1]
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value))
+}
+
+module.exports = { renderSpectrogram }
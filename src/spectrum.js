@@ -0,0 +1,292 @@
+'use strict'
+
+// Port of the Fake Lossless Checker idea: average the magnitude spectrum over
+// the track, look for the steep "cliff" a lossy encoder leaves behind, and
+// map the frequency of that cliff to a verdict.
+
+const FFT_SIZE = 8192
+const MIN_HOP_SECONDS = 0.5
+const MAX_WINDOWS = 600
+const MIN_WINDOWS = 4
+const SILENCE_RMS = 1e-4
+const REFERENCE_BAND_HZ = [2000, 8000]
+const MIN_CUTOFF_HZ = 10000
+const CLIFF_SPAN_HZ = 400
+const CLIFF_MIN_DB = 18
+const CLIFF_STRONG_DB = 40
+const AGREEMENT_TOLERANCE_HZ = 750
+const MIN_CONFIDENCE = 0.3
+const SPECTROGRAM_ROWS = 256
+const LOSSY_EXTENSIONS = new Set(['m4a', 'mp4', 'aac', 'mp3', 'ogg', 'opus', 'webm'])
+const LOSSY_CODECS = /^(aac|mp4a|mp3|opus|vorbis)/i
+
+const hannWindow = buildHannWindow(FFT_SIZE)
+const bitReversal = buildBitReversal(FFT_SIZE)
+const twiddles = buildTwiddles(FFT_SIZE)
+
+/**
+ * Streaming analyzer fed by `streamPcm`. Only one FFT window per hop is kept,
+ * so memory stays flat even for multi-hour mixes. With `keepColumns` each
+ * window is also folded into SPECTROGRAM_ROWS bands for `renderSpectrogram`.
+ */
+function createSpectrumAnalyzer({ sampleRate, durationSeconds, keepColumns = false } = {}) {
+  const bins = FFT_SIZE / 2 + 1
+  const binHz = sampleRate / FFT_SIZE
+  const powerSum = new Float64Array(bins)
+  const windowCutoffs = []
+  const columns = []
+  let windows = 0
+
+  const reader = createFftReader(pickHopSamples(sampleRate, durationSeconds), (re, im, rms) => {
+    if (rms < SILENCE_RMS) {
+      if (keepColumns) columns.push(null)
+      return
+    }
+
+    const db = new Float64Array(bins)
+    for (let k = 0; k < bins; k++) {
+      const power = re[k] * re[k] + im[k] * im[k]
+      powerSum[k] += power
+      db[k] = toDb(power)
+    }
+    windows += 1
+    windowCutoffs.push(findCutoff(db, binHz).cutoffHz)
+    if (keepColumns) columns.push(foldColumn(db))
+  })
+
+  return {
+    push: reader.push,
+    result() {
+      if (windows < MIN_WINDOWS) return null
+      const db = new Float64Array(bins)
+      for (let k = 0; k < bins; k++) {
+        db[k] = toDb(powerSum[k] / windows)
+      }
+      const { cutoffHz, dropDb } = findCutoff(db, binHz)
+      const nyquist = sampleRate / 2
+      const agreeing = windowCutoffs.filter(
+        value => Math.abs(value - cutoffHz) <= AGREEMENT_TOLERANCE_HZ
+      ).length
+      const agreement = agreeing / windowCutoffs.length
+      const sharpness = dropDb
+        ? clamp((dropDb - CLIFF_MIN_DB) / (CLIFF_STRONG_DB - CLIFF_MIN_DB), 0, 1)
+        : agreement
+      return {
+        cutoffHz: Math.round(cutoffHz),
+        fullBand: cutoffHz >= nyquist,
+        dropDb: Math.round(dropDb * 10) / 10,
+        confidence: Math.round((0.5 * sharpness + 0.5 * agreement) * 100) / 100,
+        windows,
+        sampleRate,
+        columns: keepColumns ? columns : null
+      }
+    }
+  }
+}
+
+/**
+ * Map a spectral result to one of the `QUALITY_VERDICTS` keys in messages.js.
+ * Lossy deliveries (the usual SoundCloud AAC) are expected to roll off, so a
+ * cutoff there is attributed to the source instead of called fake.
+ */
+function classifySpectrum(spectrum, metadata) {
+  if (!spectrum || spectrum.confidence < MIN_CONFIDENCE) return 'unknown'
+  const lossy = isLossyDelivery(metadata)
+  const cutoff = spectrum.cutoffHz
+  if (spectrum.fullBand || cutoff >= 21000) return 'authentic'
+  if (cutoff >= 20000) return 'likely_authentic'
+  if (cutoff >= 19000) return lossy ? 'aac_256' : 'maybe_authentic'
+  if (lossy) return 'sub_aac_lossy'
+  if (cutoff >= 17500) return 'maybe_fake'
+  if (cutoff >= 16000) return 'likely_fake'
+  return 'fake'
+}
+
+function foldColumn(db) {
+  const column = new Float32Array(SPECTROGRAM_ROWS)
+  const perRow = (db.length - 1) / SPECTROGRAM_ROWS
+  for (let row = 0; row < SPECTROGRAM_ROWS; row++) {
+    const from = Math.floor(row * perRow)
+    const to = Math.max(from + 1, Math.floor((row + 1) * perRow))
+    let peak = -Infinity
+    for (let k = from; k < to; k++) {
+      if (db[k] > peak) peak = db[k]
+    }
+    column[row] = peak
+  }
+  return column
+}
+
+function isLossyDelivery(metadata) {
+  if (!metadata || typeof metadata !== 'object') return false
+  if (typeof metadata.acodec === 'string' && LOSSY_CODECS.test(metadata.acodec)) {
+    return true
+  }
+  const ext = typeof metadata.ext === 'string' ? metadata.ext.toLowerCase() : ''
+  return LOSSY_EXTENSIONS.has(ext)
+}
+
+function findCutoff(db, binHz) {
+  const span = Math.max(2, Math.round(CLIFF_SPAN_HZ / binHz))
+  const start = Math.max(span, Math.round(MIN_CUTOFF_HZ / binHz))
+  const end = db.length - span
+  const prefix = new Float64Array(db.length + 1)
+  for (let i = 0; i < db.length; i++) {
+    prefix[i + 1] = prefix[i] + db[i]
+  }
+  const mean = (from, to) => (prefix[to] - prefix[from]) / (to - from)
+
+  const reference = mean(
+    Math.round(REFERENCE_BAND_HZ[0] / binHz),
+    Math.round(REFERENCE_BAND_HZ[1] / binHz)
+  )
+  let best = null
+  for (let i = start; i <= end; i++) {
+    const below = mean(i - span, i)
+    const above = mean(i, i + span)
+    const drop = below - above
+    // Ignore cliffs inside content that is already near the noise floor.
+    if (drop < CLIFF_MIN_DB || below < reference - 80) continue
+    if (!best || drop > best.dropDb) {
+      best = { cutoffHz: i * binHz, dropDb: drop }
+    }
+  }
+  return best || { cutoffHz: (db.length - 1) * binHz, dropDb: 0 }
+}
+
+/**
+ * Cut the PCM stream into FFT_SIZE frames spaced `hopSamples` apart and hand
+ * the Hann-windowed spectrum (plus the frame RMS) to `onSpectrum`. The re/im
+ * arrays are reused between frames, so copy anything that must outlive the
+ * callback.
+ */
+function createFftReader(hopSamples, onSpectrum) {
+  const frame = new Float32Array(FFT_SIZE)
+  const re = new Float64Array(FFT_SIZE)
+  const im = new Float64Array(FFT_SIZE)
+  let filled = 0
+  let skip = 0
+
+  function processFrame() {
+    let energy = 0
+    for (let i = 0; i < FFT_SIZE; i++) {
+      energy += frame[i] * frame[i]
+      re[i] = frame[i] * hannWindow[i]
+      im[i] = 0
+    }
+    fft(re, im)
+    onSpectrum(re, im, Math.sqrt(energy / FFT_SIZE))
+  }
+
+  return {
+    push(samples) {
+      let offset = 0
+      while (offset < samples.length) {
+        if (skip > 0) {
+          const skipped = Math.min(skip, samples.length - offset)
+          skip -= skipped
+          offset += skipped
+          continue
+        }
+        const take = Math.min(FFT_SIZE - filled, samples.length - offset)
+        frame.set(samples.subarray(offset, offset + take), filled)
+        filled += take
+        offset += take
+        if (filled === FFT_SIZE) {
+          processFrame()
+          filled = 0
+          skip = hopSamples - FFT_SIZE
+        }
+      }
+    }
+  }
+}
+
+function pickHopSamples(sampleRate, durationSeconds) {
+  const minHop = Math.round(sampleRate * MIN_HOP_SECONDS)
+  if (!Number.isFinite(durationSeconds) || durationSeconds <= 0) return minHop
+  const spread = Math.round((durationSeconds * sampleRate) / MAX_WINDOWS)
+  return Math.max(minHop, spread, FFT_SIZE)
+}
+
+function fft(re, im) {
+  const n = re.length
+  for (let i = 0; i < n; i++) {
+    const j = bitReversal[i]
+    if (j > i) {
+      let tmp = re[i]
+      re[i] = re[j]
+      re[j] = tmp
+      tmp = im[i]
+      im[i] = im[j]
+      im[j] = tmp
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1
+    const step = n / size
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const wr = twiddles.cos[k * step]
+        const wi = twiddles.sin[k * step]
+        const a = start + k
+        const b = a + half
+        const tr = re[b] * wr - im[b] * wi
+        const ti = re[b] * wi + im[b] * wr
+        re[b] = re[a] - tr
+        im[b] = im[a] - ti
+        re[a] += tr
+        im[a] += ti
+      }
+    }
+  }
+}
+
+function buildHannWindow(size) {
+  const window = new Float64Array(size)
+  for (let i = 0; i < size; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1))
+  }
+  return window
+}
+
+function buildBitReversal(size) {
+  const bits = Math.log2(size)
+  const table = new Uint32Array(size)
+  for (let i = 0; i < size; i++) {
+    let reversed = 0
+    for (let b = 0; b < bits; b++) {
+      reversed |= ((i >> b) & 1) << (bits - 1 - b)
+    }
+    table[i] = reversed
+  }
+  return table
+}
+
+function buildTwiddles(size) {
+  const half = size / 2
+  const cos = new Float64Array(half)
+  const sin = new Float64Array(half)
+  for (let k = 0; k < half; k++) {
+    cos[k] = Math.cos((-2 * Math.PI * k) / size)
+    sin[k] = Math.sin((-2 * Math.PI * k) / size)
+  }
+  return { cos, sin }
+}
+
+function toDb(power) {
+  return 10 * Math.log10(power + 1e-20)
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value))
+}
+
+module.exports = {
+  FFT_SIZE,
+  classifySpectrum,
+  createFftReader,
+  createSpectrumAnalyzer,
+  isLossyDelivery,
+  pickHopSamples
+}
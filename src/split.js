@@ -0,0 +1,41 @@
+'use strict'
+
+const fs = require('node:fs')
+
+// Keep each part a little under the limit so multipart overhead never tips
+// an upload over it.
+const PART_SIZE_MARGIN = 0.98
+
+/**
+ * Byte ranges for cutting a `size`-byte file into numbered parts that each
+ * fit under `maxBytes`. Parts are plain slices (`name.ext.001`, `.002`, …),
+ * the layout 7-Zip and `cat` both know how to join back together.
+ */
+function planFileParts(filename, size, maxBytes) {
+  const partBytes = Math.floor(maxBytes * PART_SIZE_MARGIN)
+  const count = Math.ceil(size / partBytes)
+  const parts = []
+  for (let index = 0; index < count; index++) {
+    const start = index * partBytes
+    parts.push({
+      index: index + 1,
+      count,
+      start,
+      end: Math.min(size, start + partBytes) - 1,
+      filename: `${filename}.${String(index + 1).padStart(3, '0')}`
+    })
+  }
+  return parts
+}
+
+/**
+ * Read stream over one part from `planFileParts`; nothing is copied to disk.
+ */
+function createPartStream(filePath, part) {
+  return fs.createReadStream(filePath, { start: part.start, end: part.end })
+}
+
+module.exports = {
+  createPartStream,
+  planFileParts
+}
@@ -0,0 +1,114 @@
+'use strict'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const TOP_LIMIT = 5
+// Verdicts counted as fake, and as an already degraded (low bitrate) source.
+const FAKE_VERDICTS = new Set(['maybe_fake', 'likely_fake', 'fake'])
+const LOW_BITRATE_VERDICTS = new Set(['sub_aac_lossy'])
+// Verdicts that mean the analysis did not run or could not decide.
+const UNANALYZED_VERDICTS = new Set(['fallback', 'unknown'])
+// A job the user cancelled did not fail.
+const IGNORED_FAILURE_CODES = new Set(['CANCELLED'])
+
+/**
+ * Aggregate `download` and `download_failed` audit events between `from` and
+ * `to` (timestamps). Periods longer than two weeks are bucketed by week
+ * (starting Monday, UTC) instead of by day.
+ */
+function computeStats(events, { from, to }) {
+  const downloads = []
+  const failures = []
+  events.forEach(event => {
+    if (event.at < from || event.at > to) return
+    if (event.type === 'download') downloads.push(event)
+    if (event.type === 'download_failed' && !IGNORED_FAILURE_CODES.has(event.data?.code)) {
+      failures.push(event)
+    }
+  })
+
+  const days = Math.max(1, Math.round((to - from) / DAY_MS))
+  const bucketSize = days > 14 ? 'week' : 'day'
+  const buckets = new Map()
+  for (let at = bucketStart(from, bucketSize); at <= to; at += bucketMs(bucketSize)) {
+    buckets.set(at, 0)
+  }
+  downloads.forEach(event => {
+    const key = bucketStart(event.at, bucketSize)
+    buckets.set(key, (buckets.get(key) || 0) + 1)
+  })
+
+  const analyzed = downloads.filter(
+    event => event.data?.verdict && !UNANALYZED_VERDICTS.has(event.data.verdict)
+  )
+  const attempts = downloads.length + failures.length
+
+  return {
+    from,
+    to,
+    days,
+    downloads: downloads.length,
+    buckets: [...buckets].map(([start, count]) => ({ start, count })),
+    bucketSize,
+    topUsers: topCounts(downloads, event => event.userId).map(([userId, count]) => ({
+      userId,
+      count
+    })),
+    topArtists: topCounts(downloads, event => event.data?.artist?.trim()).map(
+      ([artist, count]) => ({ artist, count })
+    ),
+    failures: failures.length,
+    failureRate: attempts ? failures.length / attempts : 0,
+    failuresByCode: topCounts(failures, event => event.data?.code || 'UNKNOWN', Infinity).map(
+      ([code, count]) => ({ code, count })
+    ),
+    averageQueueWaitMs: average(downloads.map(event => event.data?.queueWaitMs)),
+    averageAnalysisMs: average(downloads.map(event => event.data?.analysisMs)),
+    analyzed: analyzed.length,
+    fakeShare: share(analyzed, event => FAKE_VERDICTS.has(event.data.verdict)),
+    lowBitrateShare: share(
+      analyzed,
+      event => LOW_BITRATE_VERDICTS.has(event.data.verdict) || event.data.lowBitrate === true
+    )
+  }
+}
+
+/**
+ * [key, count] pairs for the `limit` most frequent keys, most frequent
+ * first. Events without a key are left out.
+ */
+function topCounts(events, keyOf, limit = TOP_LIMIT) {
+  const counts = new Map()
+  events.forEach(event => {
+    const key = keyOf(event)
+    if (key === null || key === undefined || key === '') return
+    counts.set(key, (counts.get(key) || 0) + 1)
+  })
+  return [...counts].sort((a, b) => b[1] - a[1]).slice(0, limit)
+}
+
+function average(values) {
+  const numbers = values.filter(value => Number.isFinite(value))
+  if (!numbers.length) return null
+  return numbers.reduce((sum, value) => sum + value, 0) / numbers.length
+}
+
+function share(events, predicate) {
+  if (!events.length) return null
+  return events.filter(predicate).length / events.length
+}
+
+function bucketStart(timestamp, size) {
+  const dayStart = Math.floor(timestamp / DAY_MS) * DAY_MS
+  if (size === 'day') return dayStart
+  // getUTCDay() counts from Sunday; weeks here start on Monday.
+  const weekday = (new Date(dayStart).getUTCDay() + 6) % 7
+  return dayStart - weekday * DAY_MS
+}
+
+function bucketMs(size) {
+  return size === 'day' ? DAY_MS : 7 * DAY_MS
+}
+
+module.exports = {
+  computeStats
+}
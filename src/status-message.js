@@ -0,0 +1,62 @@
+'use strict'
+
+// Telegram starts answering 429 when a chat sees more than about one edit per
+// second; stay well below that.
+const STATUS_EDIT_INTERVAL_MS = 3000
+
+/**
+ * Send a status message and return a handle that edits it in place.
+ * `update(text)` is throttled so only the latest text of each interval is
+ * shown; `close()` deletes the message once the job is over. `opts.replyMarkup`
+ * (e.g. a cancel button) is kept on every edit.
+ */
+async function createStatusMessage(ctx, initialText, opts = {}) {
+  const extra = opts.replyMarkup ? { reply_markup: opts.replyMarkup } : {}
+  let message = null
+  try {
+    message = await ctx.reply(initialText, extra)
+  } catch (error) {
+    console.warn('Unable to send status message:', error?.message || error)
+  }
+
+  let shownText = initialText
+  let pendingText = null
+  let lastEditAt = Date.now()
+  let editTimer = null
+  let closed = false
+
+  const flush = async () => {
+    editTimer = null
+    if (closed || !pendingText || pendingText === shownText) return
+    const text = pendingText
+    pendingText = null
+    shownText = text
+    lastEditAt = Date.now()
+    try {
+      await ctx.api.editMessageText(message.chat.id, message.message_id, text, extra)
+    } catch (error) {
+      console.warn('Unable to edit status message:', error?.message || error)
+    }
+  }
+
+  return {
+    update(text) {
+      if (closed || !message) return
+      pendingText = text
+      if (editTimer) return
+      const wait = Math.max(0, lastEditAt + STATUS_EDIT_INTERVAL_MS - Date.now())
+      editTimer = setTimeout(flush, wait)
+    },
+    async close() {
+      closed = true
+      if (editTimer) {
+        clearTimeout(editTimer)
+        editTimer = null
+      }
+      if (!message) return
+      await ctx.api.deleteMessage(message.chat.id, message.message_id).catch(() => {})
+    }
+  }
+}
+
+module.exports = { createStatusMessage }
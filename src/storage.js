@@ -0,0 +1,324 @@
+'use strict'
+
+const fs = require('node:fs')
+const fsp = require('node:fs/promises')
+const {
+  AUDIT_LOG_PATH,
+  AUTH_STORE_PATH,
+  DATA_DIR,
+  DOWNLOAD_CACHE_PATH,
+  DOWNLOAD_COUNT_PATH,
+  DOWNLOAD_HISTORY_PATH,
+  INVITES_PATH,
+  OAUTH_TOKENS_PATH,
+  SQLITE_PATH,
+  STORAGE_BACKEND,
+  USER_QUOTAS_PATH,
+  USER_SETTINGS_PATH,
+  WAITLIST_PATH
+} = require('./config')
+
+// Every piece of persisted state is a named JSON document. The JSON backend
+// keeps one file per document in data/; the SQLite backend keeps one row per
+// document, so a crash mid-write can no longer leave a truncated file behind.
+// Events (the audit log) are append-only records kept apart from documents.
+const DOCUMENT_PATHS = {
+  'authorized-users': AUTH_STORE_PATH,
+  'download-cache': DOWNLOAD_CACHE_PATH,
+  'download-count': DOWNLOAD_COUNT_PATH,
+  'download-history': DOWNLOAD_HISTORY_PATH,
+  invites: INVITES_PATH,
+  'oauth-tokens': OAUTH_TOKENS_PATH,
+  'user-quotas': USER_QUOTAS_PATH,
+  'user-settings': USER_SETTINGS_PATH,
+  waitlist: WAITLIST_PATH
+}
+
+// Applied in order; PRAGMA user_version records how many already ran.
+const MIGRATIONS = [
+  db =>
+    db.exec(
+      'CREATE TABLE documents (name TEXT PRIMARY KEY, value TEXT NOT NULL, updated_at INTEGER NOT NULL)'
+    ),
+  db => importJsonDocuments(db),
+  db => {
+    db.exec(
+      'CREATE TABLE events (id INTEGER PRIMARY KEY AUTOINCREMENT, at INTEGER NOT NULL, ' +
+        'type TEXT NOT NULL, user_id INTEGER, data TEXT NOT NULL)'
+    )
+    db.exec('CREATE INDEX events_at ON events (at)')
+    db.exec('CREATE INDEX events_user_at ON events (user_id, at)')
+    importJsonEvents(db)
+  }
+]
+
+// Stores loaded before initStorage() (scripts, one-off tools) use the files.
+let backend = createJsonBackend()
+
+/**
+ * Pick the storage backend from STORAGE_BACKEND: "sqlite", "json", or "auto"
+ * (SQLite when the running Node ships node:sqlite, JSON files otherwise).
+ * Call once at startup, before any store is loaded.
+ */
+function initStorage() {
+  if (STORAGE_BACKEND === 'json') {
+    backend = createJsonBackend()
+    return backend.name
+  }
+
+  const DatabaseSync = loadSqliteDriver()
+  if (!DatabaseSync) {
+    if (STORAGE_BACKEND === 'sqlite') {
+      throw new Error('STORAGE_BACKEND=sqlite needs node:sqlite (Node 22.13 or newer).')
+    }
+    console.warn('node:sqlite is not available in this Node version, using JSON files in data/.')
+    backend = createJsonBackend()
+    return backend.name
+  }
+
+  backend = createSqliteBackend(DatabaseSync)
+  return backend.name
+}
+
+/**
+ * Read the document `name`; resolves to undefined when it was never saved.
+ */
+async function loadDocument(name) {
+  assertKnownDocument(name)
+  return backend.load(name)
+}
+
+async function saveDocument(name, value) {
+  assertKnownDocument(name)
+  await backend.save(name, value)
+}
+
+/**
+ * Append `event` ({ at, type, userId, data }) to the event log.
+ */
+async function appendEvent(event) {
+  await backend.appendEvent(event)
+}
+
+/**
+ * Events matching `filter` ({ from, to, userId, types }, all optional;
+ * `from`/`to` are inclusive timestamps), oldest first.
+ */
+async function readEvents(filter = {}) {
+  return backend.readEvents(filter)
+}
+
+function closeStorage() {
+  backend.close()
+}
+
+function getStorageBackend() {
+  return backend.name
+}
+
+function createJsonBackend() {
+  return {
+    name: 'json',
+    async load(name) {
+      try {
+        return JSON.parse(await fsp.readFile(DOCUMENT_PATHS[name], 'utf8'))
+      } catch (error) {
+        if (error.code === 'ENOENT') return undefined
+        throw error
+      }
+    },
+    async save(name, value) {
+      const filePath = DOCUMENT_PATHS[name]
+      await fsp.mkdir(DATA_DIR, { recursive: true })
+      const tempPath = `${filePath}.tmp-${Date.now()}`
+      await fsp.writeFile(tempPath, JSON.stringify(value), 'utf8')
+      await fsp.rename(tempPath, filePath)
+    },
+    async appendEvent(event) {
+      await fsp.mkdir(DATA_DIR, { recursive: true })
+      await fsp.appendFile(AUDIT_LOG_PATH, `${JSON.stringify(event)}\n`, 'utf8')
+    },
+    async readEvents(filter) {
+      let raw
+      try {
+        raw = await fsp.readFile(AUDIT_LOG_PATH, 'utf8')
+      } catch (error) {
+        if (error.code === 'ENOENT') return []
+        throw error
+      }
+      return parseEventLines(raw).filter(event => matchesEventFilter(event, filter))
+    },
+    close() {}
+  }
+}
+
+function createSqliteBackend(DatabaseSync) {
+  fs.mkdirSync(DATA_DIR, { recursive: true })
+  const db = new DatabaseSync(SQLITE_PATH)
+  db.exec('PRAGMA journal_mode = WAL')
+  migrate(db)
+  const select = db.prepare('SELECT value FROM documents WHERE name = ?')
+  const upsert = db.prepare(
+    'INSERT INTO documents (name, value, updated_at) VALUES (?, ?, ?) ' +
+      'ON CONFLICT(name) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at'
+  )
+  const insertEvent = db.prepare(
+    'INSERT INTO events (at, type, user_id, data) VALUES (?, ?, ?, ?)'
+  )
+  return {
+    name: 'sqlite',
+    async load(name) {
+      const row = select.get(name)
+      return row ? JSON.parse(row.value) : undefined
+    },
+    async save(name, value) {
+      upsert.run(name, JSON.stringify(value), Date.now())
+    },
+    async appendEvent(event) {
+      insertEvent.run(event.at, event.type, event.userId ?? null, JSON.stringify(event.data || {}))
+    },
+    async readEvents(filter) {
+      const clauses = []
+      const params = []
+      if (filter.from) {
+        clauses.push('at >= ?')
+        params.push(filter.from)
+      }
+      if (filter.to) {
+        clauses.push('at <= ?')
+        params.push(filter.to)
+      }
+      if (filter.userId) {
+        clauses.push('user_id = ?')
+        params.push(filter.userId)
+      }
+      if (filter.types?.length) {
+        clauses.push(`type IN (${filter.types.map(() => '?').join(', ')})`)
+        params.push(...filter.types)
+      }
+      const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : ''
+      return db
+        .prepare(`SELECT at, type, user_id, data FROM events ${where} ORDER BY id`)
+        .all(...params)
+        .map(row => ({
+          at: row.at,
+          type: row.type,
+          userId: row.user_id,
+          data: JSON.parse(row.data)
+        }))
+    },
+    close() {
+      db.close()
+    }
+  }
+}
+
+/**
+ * Run the MIGRATIONS `db` has not seen yet, each in its own transaction.
+ */
+function migrate(db) {
+  const current = db.prepare('PRAGMA user_version').get().user_version
+  MIGRATIONS.slice(current).forEach((migration, index) => {
+    const version = current + index + 1
+    db.exec('BEGIN')
+    try {
+      migration(db)
+      db.exec(`PRAGMA user_version = ${version}`)
+      db.exec('COMMIT')
+    } catch (error) {
+      db.exec('ROLLBACK')
+      throw error
+    }
+    console.log(`State database migrated to version ${version}.`)
+  })
+}
+
+/**
+ * One-time import of the JSON files written before the SQLite store. The
+ * files are left in place as a backup (and for switching back to the JSON
+ * backend); unreadable ones are skipped with a warning.
+ */
+function importJsonDocuments(db) {
+  const insert = db.prepare('INSERT INTO documents (name, value, updated_at) VALUES (?, ?, ?)')
+  Object.entries(DOCUMENT_PATHS).forEach(([name, filePath]) => {
+    let value
+    try {
+      value = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Skipping import of ${filePath}:`, error.message)
+      }
+      return
+    }
+    insert.run(name, JSON.stringify(value), Date.now())
+    console.log(`Imported ${filePath} into the state database.`)
+  })
+}
+
+/**
+ * One-time import of the JSON-lines event log kept by the JSON backend.
+ */
+function importJsonEvents(db) {
+  let raw
+  try {
+    raw = fs.readFileSync(AUDIT_LOG_PATH, 'utf8')
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Skipping import of ${AUDIT_LOG_PATH}:`, error.message)
+    }
+    return
+  }
+  const insert = db.prepare('INSERT INTO events (at, type, user_id, data) VALUES (?, ?, ?, ?)')
+  const events = parseEventLines(raw)
+  events.forEach(event => {
+    insert.run(event.at, event.type, event.userId ?? null, JSON.stringify(event.data || {}))
+  })
+  console.log(`Imported ${events.length} events from ${AUDIT_LOG_PATH} into the state database.`)
+}
+
+function parseEventLines(raw) {
+  const events = []
+  raw.split('\n').forEach(line => {
+    if (!line.trim()) return
+    try {
+      const event = JSON.parse(line)
+      if (Number.isFinite(event?.at) && typeof event.type === 'string') events.push(event)
+    } catch {
+      // A line cut short by a crash; everything before and after it is intact.
+    }
+  })
+  return events
+}
+
+function matchesEventFilter(event, filter) {
+  if (filter.from && event.at < filter.from) return false
+  if (filter.to && event.at > filter.to) return false
+  if (filter.userId && event.userId !== filter.userId) return false
+  if (filter.types?.length && !filter.types.includes(event.type)) return false
+  return true
+}
+
+function loadSqliteDriver() {
+  try {
+    return require('node:sqlite').DatabaseSync
+  } catch {
+    return null
+  }
+}
+
+function assertKnownDocument(name) {
+  if (!Object.prototype.hasOwnProperty.call(DOCUMENT_PATHS, name)) {
+    throw new Error(`Unknown state document: ${name}`)
+  }
+}
+
+module.exports = {
+  appendEvent,
+  closeStorage,
+  getStorageBackend,
+  initStorage,
+  loadDocument,
+  migrate,
+  readEvents,
+  saveDocument
+}
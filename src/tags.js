@@ -0,0 +1,67 @@
+'use strict'
+
+const fsp = require('node:fs/promises')
+const path = require('node:path')
+const { FFMPEG_PATH } = require('./config')
+const { spawnCollect } = require('./utils')
+
+// ID3v2 and Vorbis comments take any key (ffmpeg stores unknown ID3 keys as
+// TXXX frames). Muxer options keep the ID3 layout transcodeAudio writes.
+const ID3_MUXER_ARGS = {
+  '.mp3': ['-id3v2_version', '3'],
+  '.aif': ['-write_id3v2', '1'],
+  '.aiff': ['-write_id3v2', '1']
+}
+const VORBIS_EXTENSIONS = new Set(['.flac', '.ogg', '.opus'])
+// MP4 only keeps the iTunes atoms ffmpeg knows. `-movflags use_metadata_tags`
+// would keep custom keys, but as mdta keys that drop the iTunes title,
+// artist and cover atoms, so only the BPM (`tmpo` atom) is written there.
+const MP4_EXTENSIONS = new Set(['.m4a', '.mp4'])
+
+/**
+ * Rewrite the container with extra metadata tags ({ KEY: value }, ID3 frame
+ * names such as TBPM or TXXX descriptions). Streams are copied, so existing
+ * tags and cover art survive untouched. Tags the container cannot hold are
+ * left out; resolves to false when nothing was written.
+ */
+async function writeMetadataTags(filePath, tags, opts = {}) {
+  const { dir, name, ext } = path.parse(filePath)
+  const tempPath = path.join(dir, `${name}.tag-tmp${ext}`)
+  const args = buildTagArgs(filePath, tempPath, tags)
+  if (!args) return false
+
+  try {
+    await spawnCollect(FFMPEG_PATH, args, { signal: opts.signal })
+    await fsp.rename(tempPath, filePath)
+    return true
+  } catch (error) {
+    await fsp.rm(tempPath, { force: true })
+    throw error
+  }
+}
+
+/**
+ * ffmpeg arguments copying `inputPath` to `outputPath` with `tags` added, or
+ * null when the container takes none of them.
+ */
+function buildTagArgs(inputPath, outputPath, tags) {
+  const ext = path.extname(inputPath).toLowerCase()
+  const entries = Object.entries(containerTags(ext, tags || {}))
+  if (!entries.length) return null
+
+  const args = ['-hide_banner', '-nostdin', '-y', '-i', inputPath, '-map', '0', '-c', 'copy']
+  entries.forEach(([key, value]) => args.push('-metadata', `${key}=${value}`))
+  args.push(...(ID3_MUXER_ARGS[ext] || []), outputPath)
+  return args
+}
+
+function containerTags(ext, tags) {
+  if (MP4_EXTENSIONS.has(ext)) {
+    const bpm = Math.round(Number(tags.TBPM))
+    return bpm > 0 ? { tmpo: String(bpm) } : {}
+  }
+  if (ID3_MUXER_ARGS[ext] || VORBIS_EXTENSIONS.has(ext)) return tags
+  return {}
+}
+
+module.exports = { buildTagArgs, writeMetadataTags }
@@ -0,0 +1,202 @@
+'use strict'
+
+const { FFT_SIZE, createFftReader, pickHopSamples } = require('./spectrum')
+
+const ONSET_HOP = 512
+const BASS_LOWPASS_HZ = 200
+const MIN_BPM = 60
+const MAX_BPM = 200
+const DJ_BPM_RANGE = [85, 175]
+const MIN_TEMPO_SECONDS = 10
+const PITCH_RANGE_HZ = [55, 2000]
+const MIN_KEY_FRAMES = 4
+const KEY_SILENCE_RMS = 1e-3
+const PITCH_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B']
+// Krumhansl-Schmuckler key profiles, tonic first.
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88]
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.6, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+
+/**
+ * PCM consumer estimating tempo from an onset envelope (log-energy flux of
+ * the full band plus a low-passed "kick" band), then autocorrelating it.
+ * The result is folded into the usual DJ range so half/double-time guesses
+ * land where Rekordbox and Serato would put them.
+ */
+function createTempoAnalyzer({ sampleRate }) {
+  const envelopeRate = sampleRate / ONSET_HOP
+  const alpha = 1 - Math.exp((-2 * Math.PI * BASS_LOWPASS_HZ) / sampleRate)
+  const envelope = []
+  let lowpass = 0
+  let fullEnergy = 0
+  let bassEnergy = 0
+  let count = 0
+  let previous = null
+
+  return {
+    push(samples) {
+      for (let i = 0; i < samples.length; i++) {
+        const x = samples[i]
+        lowpass += alpha * (x - lowpass)
+        fullEnergy += x * x
+        bassEnergy += lowpass * lowpass
+        count += 1
+        if (count < ONSET_HOP) continue
+
+        const current = [
+          Math.log(1e-10 + fullEnergy / ONSET_HOP),
+          Math.log(1e-10 + bassEnergy / ONSET_HOP)
+        ]
+        let onset = 0
+        if (previous) {
+          onset = Math.max(0, current[0] - previous[0]) + Math.max(0, current[1] - previous[1])
+        }
+        envelope.push(onset)
+        previous = current
+        fullEnergy = 0
+        bassEnergy = 0
+        count = 0
+      }
+    },
+    result() {
+      if (envelope.length < envelopeRate * MIN_TEMPO_SECONDS) return null
+      const mean = envelope.reduce((sum, value) => sum + value, 0) / envelope.length
+      const centered = Float64Array.from(envelope, value => value - mean)
+
+      const minLag = Math.floor((60 * envelopeRate) / MAX_BPM)
+      const maxLag = Math.ceil((60 * envelopeRate) / MIN_BPM)
+      const correlation = new Float64Array(2 * maxLag + 2)
+      for (let lag = minLag; lag < correlation.length; lag++) {
+        let sum = 0
+        for (let i = lag; i < centered.length; i++) {
+          sum += centered[i] * centered[i - lag]
+        }
+        correlation[lag] = sum / (centered.length - lag)
+      }
+
+      // Reward lags whose multiple also correlates, which favours the beat
+      // period over off-beat hi-hat periodicities.
+      let bestLag = 0
+      let bestScore = 0
+      for (let lag = minLag; lag <= maxLag; lag++) {
+        const score = correlation[lag] + 0.5 * correlation[2 * lag]
+        if (score > bestScore) {
+          bestScore = score
+          bestLag = lag
+        }
+      }
+      if (!bestLag) return null
+
+      const refined = bestLag + parabolicOffset(correlation, bestLag)
+      return foldBpm((60 * envelopeRate) / refined)
+    }
+  }
+}
+
+/**
+ * PCM consumer accumulating a chromagram from sparse FFT frames and matching
+ * it against the major/minor key profiles.
+ */
+function createKeyAnalyzer({ sampleRate, durationSeconds }) {
+  const binHz = sampleRate / FFT_SIZE
+  const pitchClassOfBin = new Int8Array(FFT_SIZE / 2 + 1).fill(-1)
+  for (let k = 1; k < pitchClassOfBin.length; k++) {
+    const hz = k * binHz
+    if (hz < PITCH_RANGE_HZ[0] || hz > PITCH_RANGE_HZ[1]) continue
+    const midi = Math.round(69 + 12 * Math.log2(hz / 440))
+    pitchClassOfBin[k] = ((midi % 12) + 12) % 12
+  }
+  const chroma = new Float64Array(12)
+  let frames = 0
+
+  const reader = createFftReader(pickHopSamples(sampleRate, durationSeconds), (re, im, rms) => {
+    if (rms < KEY_SILENCE_RMS) return
+    const frameChroma = new Float64Array(12)
+    for (let k = 0; k < pitchClassOfBin.length; k++) {
+      const pitchClass = pitchClassOfBin[k]
+      if (pitchClass < 0) continue
+      frameChroma[pitchClass] += Math.sqrt(re[k] * re[k] + im[k] * im[k])
+    }
+    // Normalise per frame so loud passages do not dominate the estimate.
+    const peak = Math.max(...frameChroma)
+    if (!peak) return
+    for (let i = 0; i < 12; i++) chroma[i] += frameChroma[i] / peak
+    frames += 1
+  })
+
+  return {
+    push: reader.push,
+    result() {
+      if (frames < MIN_KEY_FRAMES) return null
+      let best = null
+      for (let tonic = 0; tonic < 12; tonic++) {
+        for (const [mode, profile] of [['major', MAJOR_PROFILE], ['minor', MINOR_PROFILE]]) {
+          const rotated = profile.map((_, i) => profile[(i - tonic + 12) % 12])
+          const score = pearson(chroma, rotated)
+          if (!best || score > best.score) best = { tonic, mode, score }
+        }
+      }
+      return describeKey(best.tonic, best.mode)
+    }
+  }
+}
+
+function describeKey(tonic, mode) {
+  const name = PITCH_NAMES[tonic]
+  // Camelot numbers follow the circle of fifths; minor keys share the number
+  // of their relative major.
+  const majorTonic = mode === 'minor' ? (tonic + 3) % 12 : tonic
+  const camelotNumber = ((majorTonic * 7 + 7) % 12) + 1
+  return {
+    name: `${name} ${mode}`,
+    camelot: `${camelotNumber}${mode === 'minor' ? 'A' : 'B'}`,
+    tag: mode === 'minor' ? `${name}m` : name
+  }
+}
+
+/**
+ * TBPM/TKEY tags for `writeMetadataTags`.
+ */
+function tempoKeyTags(qualityInfo) {
+  const tags = {}
+  if (qualityInfo?.bpm) tags.TBPM = String(qualityInfo.bpm)
+  if (qualityInfo?.key?.tag) tags.TKEY = qualityInfo.key.tag
+  return tags
+}
+
+function foldBpm(bpm) {
+  let folded = bpm
+  while (folded < DJ_BPM_RANGE[0]) folded *= 2
+  while (folded > DJ_BPM_RANGE[1]) folded /= 2
+  return Math.round(folded)
+}
+
+function parabolicOffset(values, index) {
+  const left = values[index - 1]
+  const center = values[index]
+  const right = values[index + 1]
+  const denominator = left - 2 * center + right
+  if (!denominator) return 0
+  return (0.5 * (left - right)) / denominator
+}
+
+function pearson(a, b) {
+  const n = a.length
+  const meanA = a.reduce((sum, v) => sum + v, 0) / n
+  const meanB = b.reduce((sum, v) => sum + v, 0) / n
+  let numerator = 0
+  let varianceA = 0
+  let varianceB = 0
+  for (let i = 0; i < n; i++) {
+    numerator += (a[i] - meanA) * (b[i] - meanB)
+    varianceA += (a[i] - meanA) ** 2
+    varianceB += (b[i] - meanB) ** 2
+  }
+  if (!varianceA || !varianceB) return 0
+  return numerator / Math.sqrt(varianceA * varianceB)
+}
+
+module.exports = {
+  createKeyAnalyzer,
+  createTempoAnalyzer,
+  tempoKeyTags
+}
@@ -0,0 +1,334 @@
+'use strict'
+
+const https = require('node:https')
+const {
+  SOUNDCLOUD_API_BASE,
+  SOUNDCLOUD_CLIENT_ID,
+  SOUNDCLOUD_OAUTH_TOKENS,
+  TOKEN_HEALTHCHECK_INTERVAL_MS
+} = require('./config')
+const { loadDocument, saveDocument } = require('./storage')
+
+const PROBE_TIMEOUT_MS = 15000
+
+const tokens = new Map()
+const removedTokens = new Set()
+let nextTokenNumber = 1
+let tokensDirty = false
+let persistTokensTimer
+let healthCheckTimer
+let disabledHandler = () => {}
+
+/**
+ * Merge the tokens from the environment with the runtime state persisted in
+ * data/oauth-tokens.json (tokens added through /tokens, disabled flags,
+ * tokens removed by an admin).
+ */
+async function loadTokenPoolFromDisk() {
+  let persisted = { tokens: [], removed: [] }
+  try {
+    const parsed = await loadDocument('oauth-tokens')
+    if (parsed && typeof parsed === 'object') {
+      persisted = {
+        tokens: Array.isArray(parsed.tokens) ? parsed.tokens : [],
+        removed: Array.isArray(parsed.removed) ? parsed.removed : []
+      }
+    }
+  } catch (error) {
+    console.warn('Unable to load OAuth token pool:', error)
+  }
+
+  persisted.removed.forEach(value => {
+    if (typeof value === 'string') removedTokens.add(value)
+  })
+  SOUNDCLOUD_OAUTH_TOKENS.forEach(value => {
+    if (!removedTokens.has(value)) registerToken(value, 'env')
+  })
+  persisted.tokens.forEach(saved => {
+    if (typeof saved?.token !== 'string' || removedTokens.has(saved.token)) return
+    const entry = tokens.get(saved.token) || registerToken(saved.token, saved.source || 'runtime')
+    entry.disabled = saved.disabled === true
+    entry.disabledReason = saved.disabledReason || null
+    entry.failures = Number(saved.failures) || 0
+    entry.lastFailureAt = Number(saved.lastFailureAt) || 0
+    entry.lastCheckAt = Number(saved.lastCheckAt) || 0
+    entry.lastCheckOk = typeof saved.lastCheckOk === 'boolean' ? saved.lastCheckOk : null
+  })
+}
+
+/**
+ * Called with (token, reason) whenever a token gets disabled, where `token`
+ * is the masked summary returned by `listTokens`.
+ */
+function onTokenDisabled(handler) {
+  disabledHandler = typeof handler === 'function' ? handler : () => {}
+}
+
+/**
+ * Pick the token for the next job: enabled tokens only, least recently failed
+ * first, then least recently used so the load rotates round-robin.
+ */
+function acquireToken(excludeIds = new Set()) {
+  const candidates = [...tokens.values()].filter(
+    entry => !entry.disabled && !excludeIds.has(entry.id)
+  )
+  if (!candidates.length) return null
+  candidates.sort(
+    (a, b) => a.lastFailureAt - b.lastFailureAt || a.lastUsedAt - b.lastUsedAt
+  )
+  const entry = candidates[0]
+  entry.lastUsedAt = Date.now()
+  return entry
+}
+
+function reportTokenSuccess(entry) {
+  if (!entry) return
+  entry.uses += 1
+}
+
+/**
+ * yt-dlp hit an auth error with this token. A single track can answer 401
+ * too (Go+ or private uploads), so the token is only disabled when the /me
+ * probe rejects it as well. Resolves to 'rejected' when the token was
+ * disabled, 'valid' when the probe accepted it, or null when the probe could
+ * not tell (it failed, or see probeRejectsToken).
+ */
+async function reportTokenAuthFailure(entry, reason) {
+  if (!entry) return null
+  let status
+  try {
+    status = await probeToken(entry.token)
+  } catch (error) {
+    console.warn(`OAuth token ${entry.id} probe failed:`, error?.message || error)
+    return null
+  }
+  entry.lastCheckAt = Date.now()
+  entry.lastCheckOk = status >= 200 && status < 300
+  if (status === 401 || status === 403) {
+    entry.failures += 1
+    entry.lastFailureAt = entry.lastCheckAt
+    if (probeRejectsToken(status)) disableToken(entry, reason)
+  }
+  scheduleTokensPersist()
+  if (entry.disabled) return 'rejected'
+  return entry.lastCheckOk ? 'valid' : null
+}
+
+/**
+ * Whether a /me probe answering `status` proves the token is dead. Without
+ * SOUNDCLOUD_CLIENT_ID a 401/403 may only mean the API wants a client_id, so
+ * tokens are then never disabled, just tried last.
+ */
+function probeRejectsToken(status) {
+  return Boolean(SOUNDCLOUD_CLIENT_ID) && (status === 401 || status === 403)
+}
+
+function disableToken(entry, reason) {
+  if (entry.disabled) return
+  entry.disabled = true
+  entry.disabledReason = reason || 'auth error'
+  scheduleTokensPersist()
+  console.warn(`OAuth token ${entry.id} disabled: ${entry.disabledReason}`)
+  try {
+    disabledHandler(describeToken(entry), entry.disabledReason)
+  } catch (error) {
+    console.warn('Token disabled handler failed:', error)
+  }
+}
+
+function addToken(value) {
+  const token = value.trim()
+  if (!token) return null
+  removedTokens.delete(token)
+  const entry = tokens.get(token) || registerToken(token, 'runtime')
+  entry.disabled = false
+  entry.disabledReason = null
+  scheduleTokensPersist()
+  return entry
+}
+
+function removeToken(id) {
+  const entry = findToken(id)
+  if (!entry) return null
+  tokens.delete(entry.token)
+  removedTokens.add(entry.token)
+  scheduleTokensPersist()
+  return entry
+}
+
+function enableToken(id) {
+  const entry = findToken(id)
+  if (!entry) return null
+  entry.disabled = false
+  entry.disabledReason = null
+  scheduleTokensPersist()
+  return entry
+}
+
+function findToken(id) {
+  return [...tokens.values()].find(entry => entry.id === id) || null
+}
+
+function listTokens() {
+  return [...tokens.values()].map(describeToken)
+}
+
+function describeToken(entry) {
+  return {
+    id: entry.id,
+    label: maskToken(entry.token),
+    source: entry.source,
+    disabled: entry.disabled,
+    disabledReason: entry.disabledReason,
+    uses: entry.uses,
+    failures: entry.failures,
+    lastFailureAt: entry.lastFailureAt || null,
+    lastCheckAt: entry.lastCheckAt || null,
+    lastCheckOk: entry.lastCheckOk
+  }
+}
+
+/**
+ * Probe every token against the SoundCloud API. A 401/403 disables the
+ * token (see probeRejectsToken); a 200 re-enables one that was disabled.
+ * Network errors leave the status untouched.
+ */
+async function checkAllTokens() {
+  const entries = [...tokens.values()]
+  for (const entry of entries) {
+    let status
+    try {
+      status = await probeToken(entry.token)
+    } catch (error) {
+      console.warn(`OAuth token ${entry.id} probe failed:`, error?.message || error)
+      continue
+    }
+    entry.lastCheckAt = Date.now()
+    entry.lastCheckOk = status >= 200 && status < 300
+    if (status === 401 || status === 403) {
+      entry.failures += 1
+      entry.lastFailureAt = entry.lastCheckAt
+      if (probeRejectsToken(status)) disableToken(entry, `health check returned ${status}`)
+    } else if (entry.lastCheckOk && entry.disabled) {
+      entry.disabled = false
+      entry.disabledReason = null
+    }
+  }
+  scheduleTokensPersist()
+  return listTokens()
+}
+
+function startTokenHealthChecks() {
+  if (healthCheckTimer) return
+  healthCheckTimer = setInterval(() => {
+    checkAllTokens().catch(error => console.warn('Token health check failed:', error))
+  }, TOKEN_HEALTHCHECK_INTERVAL_MS)
+  healthCheckTimer.unref()
+}
+
+function stopTokenHealthChecks() {
+  if (!healthCheckTimer) return
+  clearInterval(healthCheckTimer)
+  healthCheckTimer = null
+}
+
+async function flushTokenPool() {
+  if (persistTokensTimer) {
+    clearTimeout(persistTokensTimer)
+    persistTokensTimer = null
+  }
+  if (!tokensDirty) return
+
+  await persistTokenPool().catch(error => {
+    console.error('Failed to persist OAuth token pool during shutdown:', error)
+    throw error
+  })
+}
+
+function registerToken(token, source) {
+  const entry = {
+    id: `t${nextTokenNumber++}`,
+    token,
+    source,
+    disabled: false,
+    disabledReason: null,
+    uses: 0,
+    failures: 0,
+    lastUsedAt: 0,
+    lastFailureAt: 0,
+    lastCheckAt: 0,
+    lastCheckOk: null
+  }
+  tokens.set(token, entry)
+  return entry
+}
+
+function probeToken(token) {
+  return new Promise((resolve, reject) => {
+    const url = new URL('/me', SOUNDCLOUD_API_BASE)
+    if (SOUNDCLOUD_CLIENT_ID) {
+      url.searchParams.set('client_id', SOUNDCLOUD_CLIENT_ID)
+    }
+    const req = https.get(
+      url,
+      { headers: { Authorization: `OAuth ${token}`, Accept: 'application/json' } },
+      res => {
+        res.resume()
+        resolve(res.statusCode || 0)
+      }
+    )
+    req.on('error', reject)
+    req.setTimeout(PROBE_TIMEOUT_MS, () => {
+      req.destroy(new Error('SoundCloud token probe timed out'))
+    })
+  })
+}
+
+function maskToken(token) {
+  if (token.length <= 10) return `${token.slice(0, 2)}…`
+  return `${token.slice(0, 6)}…${token.slice(-4)}`
+}
+
+function scheduleTokensPersist() {
+  tokensDirty = true
+  if (persistTokensTimer) return
+  persistTokensTimer = setTimeout(() => {
+    persistTokensTimer = null
+    persistTokenPool().catch(error =>
+      console.error('Failed to persist OAuth token pool:', error)
+    )
+  }, 250)
+}
+
+async function persistTokenPool() {
+  tokensDirty = false
+  await saveDocument('oauth-tokens', {
+    tokens: [...tokens.values()].map(entry => ({
+      token: entry.token,
+      source: entry.source,
+      disabled: entry.disabled,
+      disabledReason: entry.disabledReason,
+      failures: entry.failures,
+      lastFailureAt: entry.lastFailureAt,
+      lastCheckAt: entry.lastCheckAt,
+      lastCheckOk: entry.lastCheckOk
+    })),
+    removed: [...removedTokens]
+  })
+}
+
+module.exports = {
+  acquireToken,
+  addToken,
+  checkAllTokens,
+  enableToken,
+  flushTokenPool,
+  listTokens,
+  loadTokenPoolFromDisk,
+  onTokenDisabled,
+  removeToken,
+  reportTokenAuthFailure,
+  reportTokenSuccess,
+  startTokenHealthChecks,
+  stopTokenHealthChecks
+}
@@ -0,0 +1,36 @@
+'use strict'
+
+const { TELEGRAM_MAX_FILE_BYTES } = require('./config')
+const { listAudioFormats } = require('./downloader')
+const { isPreviewOnly } = require('./preview')
+const { pickSourceBitrate } = require('./quality')
+
+/**
+ * Condense a yt-dlp info JSON into what `/info` shows, without downloading.
+ */
+function summarizeTrackInfo(info) {
+  const formats = listAudioFormats(info)
+  const best = formats[0] || null
+  return {
+    title: info?.title || info?.fulltitle || null,
+    uploader: info?.uploader || info?.artist || null,
+    durationSeconds: Number.isFinite(Number(info?.duration)) ? Number(info.duration) : null,
+    uploadDate: formatUploadDate(info?.upload_date),
+    genre: info?.genre || (Array.isArray(info?.genres) ? info.genres[0] : null) || null,
+    formats,
+    hasOriginal: formats.some(format => format.original),
+    previewOnly: isPreviewOnly(info),
+    sourceBitrate: pickSourceBitrate(info),
+    estimatedBytes: best?.sizeBytes || null,
+    tooLarge: Boolean(best?.sizeBytes && best.sizeBytes > TELEGRAM_MAX_FILE_BYTES)
+  }
+}
+
+function formatUploadDate(value) {
+  if (typeof value !== 'string' || !/^\d{8}$/.test(value)) return null
+  return `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`
+}
+
+module.exports = {
+  summarizeTrackInfo
+}
@@ -0,0 +1,155 @@
+'use strict'
+
+const path = require('node:path')
+const { FFMPEG_PATH } = require('./config')
+const { spawnCollect } = require('./utils')
+
+// Cover art is carried over as an attached picture wherever the container
+// supports one; WAV has no standard picture chunk, so it only keeps tags.
+const OUTPUT_FORMATS = {
+  aiff: {
+    label: 'AIFF',
+    ext: '.aiff',
+    args: ['-map', '0:v?', '-c:a', 'pcm_s16be', '-c:v', 'copy', '-write_id3v2', '1']
+  },
+  wav: {
+    label: 'WAV',
+    ext: '.wav',
+    args: ['-c:a', 'pcm_s16le']
+  },
+  flac: {
+    label: 'FLAC',
+    ext: '.flac',
+    args: ['-map', '0:v?', '-c:a', 'flac', '-c:v', 'copy', '-disposition:v', 'attached_pic']
+  },
+  mp3: {
+    label: 'MP3 320',
+    ext: '.mp3',
+    args: [
+      '-map',
+      '0:v?',
+      '-c:a',
+      'libmp3lame',
+      '-b:a',
+      '320k',
+      '-c:v',
+      'copy',
+      '-id3v2_version',
+      '3',
+      '-disposition:v',
+      'attached_pic'
+    ]
+  }
+}
+
+// Constant-bitrate MP3 steps tried when shrinking a file under the upload
+// limit; below the last one a DJ mix is not worth listening to.
+const FIT_BITRATES_KBPS = [320, 256, 224, 192, 160, 128, 112, 96, 80, 64, 56, 48]
+// Leaves room for the cover art and container overhead.
+const FIT_SIZE_MARGIN = 0.95
+
+function isOutputFormat(value) {
+  return Object.prototype.hasOwnProperty.call(OUTPUT_FORMATS, value)
+}
+
+function outputFormatLabel(format) {
+  return OUTPUT_FORMATS[format]?.label || format
+}
+
+/**
+ * Pick a per-request format keyword (e.g. "<link> aiff") out of a message,
+ * ignoring anything inside the links themselves.
+ */
+function extractFormatOverride(text) {
+  if (!text) return null
+  const words = text.replace(/https?:\/\/\S+/gi, ' ').toLowerCase().split(/[\s,;]+/)
+  return words.find(word => isOutputFormat(word)) || null
+}
+
+/**
+ * Transcode a downloaded track into `format` next to the original file.
+ * Returns { path, filename } for the new file, or null when the file already
+ * uses that container.
+ */
+async function transcodeAudio(filePath, format, opts = {}) {
+  const target = OUTPUT_FORMATS[format]
+  if (!target) {
+    throw new Error(`Unsupported output format: ${format}`)
+  }
+
+  const { dir, name, ext } = path.parse(filePath)
+  if (ext.toLowerCase() === target.ext) return null
+  const filename = `${name}${target.ext}`
+  const outputPath = path.join(dir, filename)
+  const args = [
+    '-hide_banner',
+    '-nostdin',
+    '-y',
+    '-i',
+    filePath,
+    '-map',
+    '0:a:0',
+    '-map_metadata',
+    '0',
+    ...target.args,
+    outputPath
+  ]
+  await spawnCollect(FFMPEG_PATH, args, { signal: opts.signal })
+  return { path: outputPath, filename }
+}
+
+/**
+ * Highest MP3 bitrate that keeps `durationSeconds` of audio under `maxBytes`,
+ * or null when even the lowest step would not fit.
+ */
+function pickFitBitrate(durationSeconds, maxBytes) {
+  if (!Number.isFinite(durationSeconds) || durationSeconds <= 0) return null
+  const budgetKbps = (maxBytes * 8 * FIT_SIZE_MARGIN) / durationSeconds / 1000
+  return FIT_BITRATES_KBPS.find(kbps => kbps <= budgetKbps) || null
+}
+
+/**
+ * Re-encode a track that is over the upload limit to an MP3 at `bitrateKbps`
+ * (see `pickFitBitrate`). Returns { path, filename }.
+ */
+async function transcodeToFit(filePath, bitrateKbps, opts = {}) {
+  const { dir, name } = path.parse(filePath)
+  const filename = `${name} (${bitrateKbps}k).mp3`
+  const outputPath = path.join(dir, filename)
+  const args = [
+    '-hide_banner',
+    '-nostdin',
+    '-y',
+    '-i',
+    filePath,
+    '-map',
+    '0:a:0',
+    '-map',
+    '0:v?',
+    '-map_metadata',
+    '0',
+    '-c:a',
+    'libmp3lame',
+    '-b:a',
+    `${bitrateKbps}k`,
+    '-c:v',
+    'copy',
+    '-id3v2_version',
+    '3',
+    '-disposition:v',
+    'attached_pic',
+    outputPath
+  ]
+  await spawnCollect(FFMPEG_PATH, args, { signal: opts.signal })
+  return { path: outputPath, filename }
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  extractFormatOverride,
+  isOutputFormat,
+  outputFormatLabel,
+  pickFitBitrate,
+  transcodeAudio,
+  transcodeToFit
+}
@@ -1,5 +1,6 @@
 'use strict'
 
+const { spawn } = require('node:child_process')
 const { SOUND_CLOUD_REGEX } = require('./config')
 const messages = require('./messages')
 
@@ -28,7 +29,7 @@ function formatUserFacingError(error) {
     return error.userMessage
   }
   if (error?.code === 'QUEUE_FULL') {
-    return messages.queueFull()
+    return error.scope === 'global' ? messages.queueBusy() : messages.queueFull()
   }
   return messages.genericError()
 }
@@ -73,6 +74,22 @@ function truncate(text, max = 140) {
   return `${text.slice(0, max - 1)}…`
 }
 
+const DURATION_UNITS_MS = {
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+}
+
+/**
+ * Parse an admin-typed duration such as "12h", "7d" or "2w" into
+ * milliseconds. Returns null for anything else.
+ */
+function parseDuration(value) {
+  const match = /^(\d+)([hdw])$/i.exec(String(value || '').trim())
+  if (!match || Number(match[1]) <= 0) return null
+  return Number(match[1]) * DURATION_UNITS_MS[match[2].toLowerCase()]
+}
+
 function isSoundCloudPlaylist(url) {
   try {
     const u = new URL(url)
@@ -82,6 +99,35 @@ function isSoundCloudPlaylist(url) {
   }
 }
 
+/**
+ * Run a command to completion and collect its output. `opts.signal` kills the
+ * child when aborted.
+ */
+function spawnCollect(cmd, args, opts = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(cmd, args, { stdio: ['ignore', 'pipe', 'pipe'], signal: opts.signal })
+    let stdout = ''
+    let stderr = ''
+
+    child.stdout.on('data', chunk => {
+      stdout += chunk.toString()
+    })
+    child.stderr.on('data', chunk => {
+      stderr += chunk.toString()
+    })
+    child.on('error', reject)
+    child.on('close', code => {
+      if (code !== 0) {
+        const error = new Error(`${cmd} exited with ${code}`)
+        error.stdout = stdout
+        error.stderr = stderr
+        return reject(error)
+      }
+      resolve({ stdout, stderr })
+    })
+  })
+}
+
 module.exports = {
   extractFirstUrl,
   extractReadableErrorText,
@@ -89,6 +135,8 @@ module.exports = {
   formatUserFacingError,
   isBotCommand,
   isSoundCloudPlaylist,
+  parseDuration,
   pickUserFriendlyLine,
+  spawnCollect,
   truncate
 }
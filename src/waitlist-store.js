@@ -0,0 +1,134 @@
+'use strict'
+
+const { loadDocument, saveDocument } = require('./storage')
+
+// Ordered: the first entry is next in line.
+let waitlist = []
+// userId -> deniedAt, so a denied user asking again does not ping the admins.
+const deniedUsers = new Map()
+let waitlistDirty = false
+let persistWaitlistTimer
+
+async function loadWaitlistFromDisk() {
+  try {
+    const parsed = await loadDocument('waitlist')
+    if (Array.isArray(parsed?.entries)) {
+      waitlist = parsed.entries.filter(entry => Number.isFinite(entry?.id))
+    }
+    if (Array.isArray(parsed?.denied)) {
+      parsed.denied.forEach(entry => {
+        if (Number.isFinite(entry?.id)) deniedUsers.set(entry.id, entry.deniedAt || null)
+      })
+    }
+  } catch (error) {
+    console.warn('Unable to load waitlist:', error)
+  }
+}
+
+/**
+ * Put the Telegram user `from` at the end of the waitlist. Returns
+ * { entry, position, added }, where `added` is false when they were already
+ * waiting.
+ */
+function addToWaitlist(from) {
+  const existing = waitlist.find(entry => entry.id === from.id)
+  if (existing) {
+    return { entry: existing, position: waitlist.indexOf(existing) + 1, added: false }
+  }
+  const entry = {
+    id: from.id,
+    username: from.username || null,
+    firstName: from.first_name || null,
+    requestedAt: Date.now()
+  }
+  waitlist.push(entry)
+  scheduleWaitlistPersist()
+  return { entry, position: waitlist.length, added: true }
+}
+
+function removeFromWaitlist(userId) {
+  const index = waitlist.findIndex(entry => entry.id === userId)
+  if (index === -1) return null
+  const [entry] = waitlist.splice(index, 1)
+  scheduleWaitlistPersist()
+  return entry
+}
+
+/**
+ * Move a waiting user to the 1-based `position` (clamped to the list).
+ * Returns the new position, or null when the user is not waiting.
+ */
+function moveWaitlistEntry(userId, position) {
+  const entry = removeFromWaitlist(userId)
+  if (!entry) return null
+  const index = Math.min(Math.max(position, 1), waitlist.length + 1) - 1
+  waitlist.splice(index, 0, entry)
+  return index + 1
+}
+
+/**
+ * Take a waiting user off the list and remember the denial. Returns null,
+ * recording nothing, when they were not waiting (e.g. another admin already
+ * approved them).
+ */
+function denyWaitlistEntry(userId) {
+  const entry = removeFromWaitlist(userId)
+  if (!entry) return null
+  deniedUsers.set(userId, Date.now())
+  scheduleWaitlistPersist()
+  return entry
+}
+
+function clearWaitlistDenial(userId) {
+  if (deniedUsers.delete(userId)) scheduleWaitlistPersist()
+}
+
+function isWaitlistDenied(userId) {
+  return deniedUsers.has(userId)
+}
+
+function listWaitlist() {
+  return waitlist.map((entry, index) => ({ ...entry, position: index + 1 }))
+}
+
+async function flushWaitlist() {
+  if (persistWaitlistTimer) {
+    clearTimeout(persistWaitlistTimer)
+    persistWaitlistTimer = null
+  }
+  if (!waitlistDirty) return
+
+  await persistWaitlist().catch(error => {
+    console.error('Failed to persist waitlist during shutdown:', error)
+    throw error
+  })
+}
+
+function scheduleWaitlistPersist() {
+  waitlistDirty = true
+  if (persistWaitlistTimer) return
+  persistWaitlistTimer = setTimeout(() => {
+    persistWaitlistTimer = null
+    persistWaitlist().catch(error => console.error('Failed to persist waitlist:', error))
+  }, 250)
+}
+
+async function persistWaitlist() {
+  waitlistDirty = false
+  await saveDocument('waitlist', {
+    entries: waitlist,
+    denied: [...deniedUsers].map(([id, deniedAt]) => ({ id, deniedAt }))
+  })
+}
+
+module.exports = {
+  addToWaitlist,
+  clearWaitlistDenial,
+  denyWaitlistEntry,
+  flushWaitlist,
+  isWaitlistDenied,
+  listWaitlist,
+  loadWaitlistFromDisk,
+  moveWaitlistEntry,
+  removeFromWaitlist
+}
@@ -0,0 +1,48 @@
+'use strict'
+
+const assert = require('node:assert/strict')
+const test = require('node:test')
+const { formatEventsCsv } = require('../src/audit-log')
+
+const AT = Date.UTC(2024, 0, 1, 12)
+
+function csvLines(events) {
+  return formatEventsCsv(events).trimEnd().split('\n')
+}
+
+test('writes a header and one row per event, extra data in details', () => {
+  const lines = csvLines([
+    {
+      at: AT,
+      type: 'download',
+      userId: 42,
+      data: { trackId: 7, artist: 'Artist', title: 'Title', url: 'https://x', verdict: 'fake' }
+    }
+  ])
+  assert.equal(lines[0], 'at,type,user_id,track_id,artist,title,url,details')
+  assert.equal(
+    lines[1],
+    '2024-01-01T12:00:00.000Z,download,42,7,Artist,Title,https://x,"{""verdict"":""fake""}"'
+  )
+})
+
+test('quotes cells holding commas, quotes or line breaks', () => {
+  const csv = formatEventsCsv([
+    { at: AT, type: 'download', userId: null, data: { title: 'a, "b"\nc' } }
+  ])
+  assert.ok(csv.endsWith('\n2024-01-01T12:00:00.000Z,download,,,,"a, ""b""\nc",,\n'))
+})
+
+test('neutralises cells spreadsheets would run as formulas', () => {
+  const [, row] = csvLines([
+    { at: AT, type: 'download', userId: 1, data: { artist: '=HYPERLINK("x")', title: '@SUM(1)' } }
+  ])
+  assert.equal(row, '2024-01-01T12:00:00.000Z,download,1,,"\'=HYPERLINK(""x"")",\'@SUM(1),,')
+})
+
+test('neutralises cells starting with a tab or carriage return', () => {
+  const [, row] = csvLines([
+    { at: AT, type: 'download', userId: 1, data: { artist: '\t=1+1', title: '\r=1+1' } }
+  ])
+  assert.equal(row, '2024-01-01T12:00:00.000Z,download,1,,\'\t=1+1,"\'\r=1+1",,')
+})
@@ -0,0 +1,48 @@
+'use strict'
+
+const assert = require('node:assert/strict')
+const test = require('node:test')
+const { QUOTA_BURST_WINDOW_MS } = require('../src/config')
+const { computeQuotaStatus } = require('../src/auth-store')
+
+const HOUR_MS = 60 * 60 * 1000
+const DAY_MS = 24 * HOUR_MS
+const NOW = Date.UTC(2024, 0, 2)
+const LIMITS = { daily: 5, hourly: 3, burst: 0, exempt: false }
+
+function windowNamed(status, name) {
+  return status.windows.find(window => window.name === name)
+}
+
+test('counts downloads in each rolling window and forgets older ones', () => {
+  const status = computeQuotaStatus(
+    [NOW - DAY_MS - 1, NOW - 2 * HOUR_MS, NOW - 1000],
+    LIMITS,
+    NOW
+  )
+  assert.equal(windowNamed(status, 'daily').used, 2)
+  assert.equal(windowNamed(status, 'daily').remaining, 3)
+  assert.equal(windowNamed(status, 'hourly').used, 1)
+  assert.equal(status.blocked, null)
+})
+
+test('treats a limit of 0 as unlimited', () => {
+  const burst = windowNamed(computeQuotaStatus([NOW - 1], LIMITS, NOW), 'burst')
+  assert.equal(burst.windowMs, QUOTA_BURST_WINDOW_MS)
+  assert.equal(burst.remaining, null)
+  assert.equal(burst.resetAt, null)
+})
+
+test('blocks on a full window until its oldest counted download ages out', () => {
+  const history = [NOW - 50 * 60 * 1000, NOW - 20 * 60 * 1000, NOW - 1000]
+  const status = computeQuotaStatus(history, LIMITS, NOW)
+  assert.equal(status.blocked.name, 'hourly')
+  assert.equal(status.blocked.resetAt, history[0] + HOUR_MS)
+})
+
+test('never blocks exempt users', () => {
+  const history = [NOW - 3000, NOW - 2000, NOW - 1000]
+  const status = computeQuotaStatus(history, { ...LIMITS, exempt: true }, NOW)
+  assert.equal(windowNamed(status, 'hourly').remaining, 0)
+  assert.equal(status.blocked, null)
+})
@@ -0,0 +1,23 @@
+'use strict'
+
+const assert = require('node:assert/strict')
+const test = require('node:test')
+const { downloadCacheKey } = require('../src/download-cache')
+
+test('keys on the track, the SoundCloud format and the output format', () => {
+  assert.equal(
+    downloadCacheKey(123, { formatId: 'hls_aac_160k', format: 'flac' }),
+    '123:hls_aac_160k:flac'
+  )
+  assert.equal(downloadCacheKey(123, { format: 'mp3' }), '123:auto:mp3')
+})
+
+test('files anything that is not an output format under original', () => {
+  assert.equal(downloadCacheKey(123), '123:auto:original')
+  assert.equal(downloadCacheKey(123, { format: 'original' }), '123:auto:original')
+  assert.equal(downloadCacheKey(123, { format: 'ogg' }), '123:auto:original')
+})
+
+test('has no key without a track id', () => {
+  assert.equal(downloadCacheKey(undefined, { format: 'mp3' }), null)
+})
@@ -0,0 +1,98 @@
+'use strict'
+
+const assert = require('node:assert/strict')
+const test = require('node:test')
+const { QUEUE_PRIORITIES, createTaskQueue } = require('../src/queue')
+
+// A task that records its name when it starts and finishes when released.
+function gate(order, name) {
+  let release
+  const done = new Promise(resolve => {
+    release = resolve
+  })
+  return {
+    task: () => {
+      order.push(name)
+      return done
+    },
+    release: () => release()
+  }
+}
+
+test('serves users round-robin so one backlog cannot starve others', async () => {
+  const queue = createTaskQueue(1)
+  const order = []
+  const blocker = gate(order, 'blocker')
+  const running = [queue.add(blocker.task, { userId: 0 })]
+  const enqueue = (name, userId) => running.push(queue.add(() => order.push(name), { userId }))
+  enqueue('a1', 1)
+  enqueue('a2', 1)
+  enqueue('a3', 1)
+  enqueue('b1', 2)
+  enqueue('b2', 2)
+  blocker.release()
+  await Promise.all(running)
+  assert.deepEqual(order, ['blocker', 'a1', 'b1', 'a2', 'b2', 'a3'])
+})
+
+test('runs higher priorities first', async () => {
+  const queue = createTaskQueue(1)
+  const order = []
+  const blocker = gate(order, 'blocker')
+  const running = [
+    queue.add(blocker.task, { userId: 0 }),
+    queue.add(() => order.push('low'), { userId: 1, priority: QUEUE_PRIORITIES.low }),
+    queue.add(() => order.push('high'), { userId: 2, priority: QUEUE_PRIORITIES.high })
+  ]
+  blocker.release()
+  await Promise.all(running)
+  assert.deepEqual(order, ['blocker', 'high', 'low'])
+})
+
+test('reports the place in line while a task waits', async () => {
+  const queue = createTaskQueue(1)
+  const blocker = gate([], 'blocker')
+  const positions = []
+  const running = [
+    queue.add(blocker.task),
+    queue.add(() => {}, { onPosition: position => positions.push(position) })
+  ]
+  assert.deepEqual(positions, [1])
+  assert.deepEqual(queue.stats(), { active: 1, pending: 1, concurrency: 1 })
+  blocker.release()
+  await Promise.all(running)
+})
+
+test('rejects past the per-user and global caps', async () => {
+  const queue = createTaskQueue(1, 1, 2)
+  const blocker = gate([], 'blocker')
+  const running = [queue.add(blocker.task, { userId: 0 }), queue.add(() => {}, { userId: 1 })]
+  await assert.rejects(queue.add(() => {}, { userId: 1 }), error => {
+    assert.equal(error.code, 'QUEUE_FULL')
+    assert.equal(error.scope, undefined)
+    return true
+  })
+  running.push(queue.add(() => {}, { userId: 2 }))
+  await assert.rejects(queue.add(() => {}, { userId: 3 }), error => {
+    assert.equal(error.code, 'QUEUE_FULL')
+    assert.equal(error.scope, 'global')
+    return true
+  })
+  blocker.release()
+  await Promise.all(running)
+})
+
+test('drops a waiting task when its signal aborts', async () => {
+  const queue = createTaskQueue(1)
+  const order = []
+  const blocker = gate(order, 'blocker')
+  const controller = new AbortController()
+  const running = queue.add(blocker.task)
+  const dropped = queue.add(() => order.push('dropped'), { signal: controller.signal })
+  controller.abort(new Error('cancelled'))
+  await assert.rejects(dropped, /cancelled/)
+  assert.equal(queue.stats().pending, 0)
+  blocker.release()
+  await running
+  assert.deepEqual(order, ['blocker'])
+})
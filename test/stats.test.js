@@ -0,0 +1,98 @@
+'use strict'
+
+const assert = require('node:assert/strict')
+const test = require('node:test')
+const { computeStats } = require('../src/stats')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+// A Monday.
+const FROM = Date.UTC(2024, 0, 1)
+
+function download(at, userId, data = {}) {
+  return { at, type: 'download', userId, data }
+}
+
+function failure(at, userId, code) {
+  return { at, type: 'download_failed', userId, data: { code } }
+}
+
+test('buckets short periods by day, counting days without downloads', () => {
+  const stats = computeStats(
+    [download(FROM + 1000, 1), download(FROM + 2000, 2), download(FROM + 3 * DAY_MS, 1)],
+    { from: FROM, to: FROM + 7 * DAY_MS - 1 }
+  )
+  assert.equal(stats.bucketSize, 'day')
+  assert.equal(stats.days, 7)
+  assert.equal(stats.buckets.length, 7)
+  assert.deepEqual(stats.buckets[0], { start: FROM, count: 2 })
+  assert.deepEqual(stats.buckets[3], { start: FROM + 3 * DAY_MS, count: 1 })
+  assert.deepEqual(stats.topUsers, [
+    { userId: 1, count: 2 },
+    { userId: 2, count: 1 }
+  ])
+})
+
+test('buckets periods longer than two weeks by week starting on Monday', () => {
+  const wednesday = FROM + 9 * DAY_MS
+  const stats = computeStats([download(wednesday, 1), download(wednesday + DAY_MS, 1)], {
+    from: FROM + 2 * DAY_MS,
+    to: FROM + 30 * DAY_MS
+  })
+  assert.equal(stats.bucketSize, 'week')
+  assert.equal(stats.buckets[0].start, FROM)
+  assert.deepEqual(stats.buckets[1], { start: FROM + 7 * DAY_MS, count: 2 })
+  stats.buckets.forEach(bucket => assert.equal(new Date(bucket.start).getUTCDay(), 1))
+})
+
+test('leaves out events outside the period', () => {
+  const stats = computeStats([download(FROM - 1, 1), download(FROM + DAY_MS + 1, 1)], {
+    from: FROM,
+    to: FROM + DAY_MS
+  })
+  assert.equal(stats.downloads, 0)
+})
+
+test('computes the failure rate by code, ignoring cancelled jobs', () => {
+  const stats = computeStats(
+    [
+      download(FROM + 1, 1),
+      download(FROM + 2, 1),
+      failure(FROM + 3, 1, 'TIMEOUT'),
+      failure(FROM + 4, 2, 'TIMEOUT'),
+      failure(FROM + 5, 2),
+      failure(FROM + 6, 2, 'CANCELLED')
+    ],
+    { from: FROM, to: FROM + DAY_MS }
+  )
+  assert.equal(stats.failures, 3)
+  assert.equal(stats.failureRate, 3 / 5)
+  assert.deepEqual(stats.failuresByCode, [
+    { code: 'TIMEOUT', count: 2 },
+    { code: 'UNKNOWN', count: 1 }
+  ])
+})
+
+test('averages timings and verdict shares over the downloads that have them', () => {
+  const stats = computeStats(
+    [
+      download(FROM + 1, 1, { queueWaitMs: 100, analysisMs: 2000, verdict: 'authentic' }),
+      download(FROM + 2, 1, { queueWaitMs: 300, verdict: 'likely_fake' }),
+      download(FROM + 3, 1, { verdict: 'sub_aac_lossy' }),
+      download(FROM + 4, 1, { verdict: 'unknown' }),
+      download(FROM + 5, 1)
+    ],
+    { from: FROM, to: FROM + DAY_MS }
+  )
+  assert.equal(stats.averageQueueWaitMs, 200)
+  assert.equal(stats.averageAnalysisMs, 2000)
+  assert.equal(stats.analyzed, 3)
+  assert.equal(stats.fakeShare, 1 / 3)
+  assert.equal(stats.lowBitrateShare, 1 / 3)
+})
+
+test('reports missing averages and shares as null', () => {
+  const stats = computeStats([], { from: FROM, to: FROM + DAY_MS })
+  assert.equal(stats.failureRate, 0)
+  assert.equal(stats.averageQueueWaitMs, null)
+  assert.equal(stats.fakeShare, null)
+})
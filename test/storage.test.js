@@ -0,0 +1,39 @@
+'use strict'
+
+const assert = require('node:assert/strict')
+const test = require('node:test')
+const { migrate } = require('../src/storage')
+
+let DatabaseSync = null
+try {
+  DatabaseSync = require('node:sqlite').DatabaseSync
+} catch {
+  // Older Node: only the JSON backend exists there.
+}
+
+test('migrates an empty database to the latest schema', { skip: !DatabaseSync }, () => {
+  const db = new DatabaseSync(':memory:')
+  migrate(db)
+  assert.equal(db.prepare('PRAGMA user_version').get().user_version, 3)
+  const tables = db
+    .prepare("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name")
+    .all()
+    .map(row => row.name)
+  assert.ok(tables.includes('documents'))
+  assert.ok(tables.includes('events'))
+  db.close()
+})
+
+test('runs only the migrations a database has not seen', { skip: !DatabaseSync }, () => {
+  const db = new DatabaseSync(':memory:')
+  db.exec(
+    'CREATE TABLE documents (name TEXT PRIMARY KEY, value TEXT NOT NULL, updated_at INTEGER NOT NULL)'
+  )
+  db.exec("INSERT INTO documents VALUES ('invites', '[]', 1)")
+  db.exec('PRAGMA user_version = 2')
+  migrate(db)
+  assert.equal(db.prepare('PRAGMA user_version').get().user_version, 3)
+  assert.equal(db.prepare('SELECT COUNT(*) AS count FROM documents').get().count, 1)
+  db.exec("INSERT INTO events (at, type, data) VALUES (1, 'download', '{}')")
+  db.close()
+})
@@ -0,0 +1,73 @@
+'use strict'
+
+const assert = require('node:assert/strict')
+const { spawnSync } = require('node:child_process')
+const fs = require('node:fs')
+const os = require('node:os')
+const path = require('node:path')
+const test = require('node:test')
+const { FFMPEG_PATH, FFPROBE_PATH } = require('../src/config')
+const { buildTagArgs, writeMetadataTags } = require('../src/tags')
+
+const TAGS = { TBPM: '128', TKEY: 'Am', REPLAYGAIN_TRACK_GAIN: '-3.00 dB' }
+
+function metadataArgs(args) {
+  return args.filter((arg, index) => args[index - 1] === '-metadata')
+}
+
+function runs(binary) {
+  return spawnSync(binary, ['-version'], { stdio: 'ignore' }).status === 0
+}
+
+test('writes BPM to the iTunes tmpo atom only for M4A', () => {
+  const args = buildTagArgs('track.m4a', 'out.m4a', TAGS)
+  assert.deepEqual(metadataArgs(args), ['tmpo=128'])
+  assert.ok(!args.includes('-movflags'))
+})
+
+test('writes every tag to ID3 and Vorbis containers', () => {
+  const expected = ['TBPM=128', 'TKEY=Am', 'REPLAYGAIN_TRACK_GAIN=-3.00 dB']
+  assert.deepEqual(metadataArgs(buildTagArgs('track.mp3', 'out.mp3', TAGS)), expected)
+  assert.deepEqual(metadataArgs(buildTagArgs('track.flac', 'out.flac', TAGS)), expected)
+  assert.ok(buildTagArgs('track.aiff', 'out.aiff', TAGS).includes('-write_id3v2'))
+})
+
+test('skips containers that take none of the tags', () => {
+  assert.equal(buildTagArgs('track.wav', 'out.wav', TAGS), null)
+  assert.equal(buildTagArgs('track.m4a', 'out.m4a', { TKEY: 'Am' }), null)
+})
+
+test(
+  'keeps the title, artist and cover of an M4A',
+  { skip: !(runs(FFMPEG_PATH) && runs(FFPROBE_PATH)) && 'needs ffmpeg and ffprobe' },
+  async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keson-tags-'))
+    try {
+      const filePath = path.join(dir, 'track.m4a')
+      // Two seconds of tone with a PNG cover, tagged like a SoundCloud M4A.
+      const encode = spawnSync(FFMPEG_PATH, [
+        '-hide_banner', '-loglevel', 'error', '-nostdin',
+        '-f', 'lavfi', '-i', 'sine=duration=2',
+        '-f', 'lavfi', '-i', 'color=c=red:s=64x64:d=1',
+        '-map', '0', '-map', '1', '-frames:v', '1',
+        '-c:a', 'aac', '-c:v', 'png', '-disposition:v', 'attached_pic',
+        '-metadata', 'title=Title', '-metadata', 'artist=Artist',
+        filePath
+      ])
+      assert.equal(encode.status, 0, String(encode.stderr))
+
+      assert.equal(await writeMetadataTags(filePath, TAGS), true)
+
+      const probe = spawnSync(FFPROBE_PATH, [
+        '-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath
+      ])
+      const { format, streams } = JSON.parse(probe.stdout)
+      assert.equal(format.tags.title, 'Title')
+      assert.equal(format.tags.artist, 'Artist')
+      assert.ok(streams.some(stream => stream.disposition?.attached_pic === 1))
+      assert.ok(fs.readFileSync(filePath).includes('tmpo'))
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  }
+)